@@ -1,17 +1,50 @@
 var models = require('./lib/models')
   , backbone = require('./lib/backbone')
-  , rest = require('./lib/rest');
+  , rest = require('./lib/rest')
+  , formats = require('./lib/formats')
+  , patch = require('./lib/patch')
+  , policy = require('./lib/policy')
+  , hooks = require('./lib/hooks')
+  , audit = require('./lib/audit')
+  , slugs = require('./lib/slugs')
+  , openapi = require('./lib/openapi');
 
 //Patch IncomingMessage.prototype
 require('./lib/request');
 
 exports.use = function (app, mongoose) {
     models.use(mongoose)
+    //Routes are cached for the previous schema map
+    rest.cached_routes = null
     rest.autoloadResources(app)
     backbone.helpers(app)
 }
 
+exports.embed = models.embed
+
+exports.ConfigError = models.ConfigError
+
 exports.routes = rest.routes
 
+exports.mount = rest.mount
+
+exports.format = formats.register
+
+exports.bodyParser = patch.bodyParser
+
+exports.authorize = policy.register
+
+exports.before = hooks.before
+
+exports.after = hooks.after
+
+exports.audit = audit.enable
+
+exports.slug = slugs.register
+
+exports.openapi = openapi.generateFile
+
+exports.serveOpenAPI = openapi.serve
+
 module.exports.backbone = backbone.generateFile
 
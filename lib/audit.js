@@ -0,0 +1,299 @@
+/*!
+ * Chris O'Hara
+ * Copyright(c) 2011 Chris O'Hara <cohara87@gmail.com>
+ * MIT Licensed
+ */
+
+/**
+ * Module dependencies.
+ */
+
+var models = require('./models')
+  , hooks = require('./hooks')
+
+/**
+ * The collection audit entries are stored in.
+ */
+
+exports.collection = 'audit'
+
+/**
+ * Paths that aren't recorded as changes.
+ */
+
+exports.ignore = ['__v']
+
+/**
+ * Whether changes are being recorded.
+ */
+
+exports.enabled = false
+
+/**
+ * Record every change made through the generated routes. Each entry has
+ * the top level `resource` and `document` ID, the `action`, the `user`,
+ * the time it was made `at`, the changed paths with their old and new
+ * values, and a snapshot of the document that it can be reverted to.
+ * Changes to embedded documents are recorded against the top level
+ * document they're part of, with the child's resource and ID in `embedded`.
+ *
+ * This should be called before the routes are generated.
+ *
+ * @param {string} collection (optional)
+ * @api public
+ */
+
+exports.enable = function (collection) {
+    if (collection) {
+        exports.collection = collection
+    }
+    if (exports.enabled) {
+        return
+    }
+    exports.enabled = true
+    //Snapshot the document before other hooks, e.g. slugs, change it
+    hooks.prepend('before', '*', '*', function (context, done) {
+        var instance = context.root || context.instance
+        context.previous = instance.isNew ? null : instance.toObject()
+        done()
+    })
+    hooks.after('*', '*', function (context, done) {
+        exports.record(context, function (err) {
+            if (err && !(err instanceof Error)) {
+                err = new Error(err.err || err.message || err)
+            }
+            done(err || null)
+        })
+    })
+}
+
+/**
+ * Get the audit collection.
+ *
+ * @return {Collection} collection
+ * @api private
+ */
+
+function collection () {
+    return models.mongoose.connection.collection(exports.collection)
+}
+
+/**
+ * Check whether a value is a plain object rather than a Date, ObjectID, etc.
+ *
+ * @param {mixed} value
+ * @return {boolean} plain
+ * @api private
+ */
+
+function isPlainObject (value) {
+    return !!value && typeof value === 'object' && value.constructor === Object
+}
+
+/**
+ * Flatten a document into a map of path => value. Embedded documents are
+ * keyed by their ID, e.g. "comments.4f0a..body", so that reordering them
+ * isn't recorded as a change.
+ *
+ * @param {object} obj
+ * @param {string} prefix
+ * @param {object} paths
+ * @return {object} paths
+ * @api private
+ */
+
+function flatten (obj, prefix, paths) {
+    paths = paths || {}
+    for (var key in obj || {}) {
+        var path = prefix + key
+          , value = obj[key]
+        if (!prefix && ~exports.ignore.indexOf(key)) {
+            continue
+        } else if (isPlainObject(value)) {
+            flatten(value, path + '.', paths)
+        } else if (Array.isArray(value) && value.length && value.every(function (elem) {
+                return isPlainObject(elem) && elem._id
+            })) {
+            value.forEach(function (elem) {
+                flatten(elem, path + '.' + elem._id + '.', paths)
+            })
+        } else {
+            paths[path] = value
+        }
+    }
+    return paths
+}
+
+/**
+ * Get the changes between two versions of a document.
+ *
+ * @param {object} before - null if the document was created
+ * @param {object} after - null if the document was removed
+ * @return {array} changes - [ { path, from, to }, .. ]
+ * @api public
+ */
+
+exports.diff = function (before, after) {
+    var from = flatten(before, ''), to = flatten(after, ''), changes = [], path
+
+    for (path in from) {
+        if (!(path in to) || JSON.stringify(from[path]) !== JSON.stringify(to[path])) {
+            changes.push({ path: path, from: from[path], to: path in to ? to[path] : null })
+        }
+    }
+    for (path in to) {
+        if (!(path in from)) {
+            changes.push({ path: path, from: null, to: to[path] })
+        }
+    }
+
+    return changes
+}
+
+/**
+ * Insert an entry for the changes made to the document in a hook context.
+ * Nothing is recorded if nothing changed.
+ *
+ * @param {object} context - see `hooks.before()`
+ * @param {string} action
+ * @param {object} before - null if there was no document
+ * @param {object} after - null if there's no document
+ * @param {function} callback
+ * @api private
+ */
+
+function insert (context, action, before, after, callback) {
+    var root = context.root
+      , instance = root || context.instance
+      , resource = root ? root.constructor.modelName : context.resource
+      , user = context.request.user
+      , changes = exports.diff(before, after)
+
+    if (!changes.length) {
+        return callback(null, null)
+    }
+
+    collection().insert({
+        resource : resource
+      , document : instance.get('id')
+      , action   : action
+      , embedded : root ? { resource: context.resource, id: context.instance.get('id') } : null
+      , user     : user ? String(user.id || user._id) : null
+      , at       : new Date()
+      , changes  : changes
+      , snapshot : after
+    }, { safe: true }, function (err, entries) {
+        callback(err, entries && entries[0])
+    })
+}
+
+/**
+ * Record the changes made by an action. Actions that change nothing
+ * aren't recorded.
+ *
+ * @param {object} context - see `hooks.before()`
+ * @param {function} callback
+ * @api public
+ */
+
+exports.record = function (context, callback) {
+    var root = context.root
+      , instance = root || context.instance
+      , resource = root ? root.constructor.modelName : context.resource
+      , removed = !root && (context.action === 'purge'
+                || (context.action === 'destroy' && !models.isSoftDeletable(resource)))
+
+    insert(context, context.action, context.previous,
+           removed ? null : instance.toObject(), callback)
+}
+
+/**
+ * Record that an action was undone, e.g. when an atomic bulk request is
+ * rolled back, as a "rollback" entry.
+ *
+ * @param {object} context - the context of the undone action
+ * @param {object} before - the document as the action left it, or null
+ * @param {object} after - the document as it was restored, or null
+ * @param {function} callback
+ * @api public
+ */
+
+exports.rollback = function (context, before, after, callback) {
+    insert(context, 'rollback', before, after, callback)
+}
+
+/**
+ * Record the changes a move made to the top level document a child was
+ * moved into, when that isn't the one it was moved out of. The move is
+ * recorded against the one it was moved out of by the hooks, as usual.
+ *
+ * @param {object} context - the context of the move
+ * @param {object} before - the target as it was before the move
+ * @param {Document} target - the target as the move left it
+ * @param {function} callback
+ * @api public
+ */
+
+exports.moved = function (context, before, target, callback) {
+    var moved = {}
+    for (var key in context) {
+        moved[key] = context[key]
+    }
+    moved.root = target
+    insert(moved, 'move', before, target.toObject(), callback)
+}
+
+/**
+ * Get the history of a document, most recent first.
+ *
+ * Options:
+ *
+ *   - skip: the number of entries to skip
+ *   - limit: the maximum number of entries
+ *
+ * @param {string} resource
+ * @param {string} id
+ * @param {object} options
+ * @param {function} callback - receives the entries and the total
+ * @api public
+ */
+
+exports.history = function (resource, id, options, callback) {
+    var conditions = { resource: resource, document: String(id) }
+
+    collection().count(conditions, function (err, total) {
+        if (err) {
+            return callback(err)
+        }
+        collection().find(conditions, {
+            sort  : [['at', 'descending']]
+          , skip  : options.skip || 0
+          , limit : options.limit || 0
+        }, function (err, cursor) {
+            if (err) {
+                return callback(err)
+            }
+            cursor.toArray(function (err, entries) {
+                callback(err, entries, total)
+            })
+        })
+    })
+}
+
+/**
+ * Get an entry from the history of a document.
+ *
+ * @param {string} resource
+ * @param {string} id
+ * @param {string} entry - the entry ID
+ * @param {function} callback
+ * @api public
+ */
+
+exports.get = function (resource, id, entry, callback) {
+    collection().findOne({
+        _id      : models.mongoose.Types.ObjectId.fromString(entry)
+      , resource : resource
+      , document : String(id)
+    }, callback)
+}
@@ -51,6 +51,24 @@ function convertUnderscoreId (instance) {
     }
 }
 
+/**
+ * Remove the attributes a user can't read. Throws rather than rendering
+ * an unfiltered instance if the resource isn't a model.
+ *
+ * @param {string} resource
+ * @param {object} instance
+ * @param {object} user
+ * @throws {ConfigError}
+ * @api private
+ */
+
+function filterReadable (resource, instance, user) {
+    if (!(resource in models.mongoose.modelSchemas)) {
+        throw new models.ConfigError('"' + resource + '" is not a model');
+    }
+    models.filterReadable(resource, instance, user);
+}
+
 /**
  * Generate backbone models.
  *
@@ -76,8 +94,16 @@ exports.generate = function (namespace) {
     return backbone;
 }
 
+/**
+ * The apps helpers were registered for, and their namespaces.
+ */
+
+var helped = [];
+
 /**
  * Generate express view helpers for creating backbone models and collections.
+ * The helpers use the current schema map, so they're only registered again
+ * when the namespace changes.
  *
  * @param {HTTPServer} app
  * @param {string} namespace (optional)
@@ -88,6 +114,18 @@ exports.helpers = function (app, namespace) {
 
     namespace = namespace || '';
 
+    var registered = helped.filter(function (helping) {
+        return helping.app === app;
+    })[0];
+
+    if (registered && registered.namespace === namespace) {
+        return;
+    } else if (registered) {
+        registered.namespace = namespace;
+    } else {
+        helped.push({ app: app, namespace: namespace });
+    }
+
     app.dynamicHelpers({
 
         backboneModel: function (request, response) {
@@ -105,6 +143,8 @@ exports.helpers = function (app, namespace) {
                 }
 
                 convertUnderscoreId(instance);
+                filterReadable(singular, instance, request.user);
+                models.filterDeleted(singular, instance);
 
                 var model = 'var '+var_name+' = '
                           + 'new '+klass+'(' + JSON.stringify(instance) + ');';
@@ -129,6 +169,8 @@ exports.helpers = function (app, namespace) {
                     }
 
                     convertUnderscoreId(instances[i]);
+                    filterReadable(singular, instances[i], request.user);
+                    models.filterDeleted(singular, instances[i]);
                 }
 
                 var collection = 'var '+var_name+' = '
@@ -154,7 +196,12 @@ exports.generateFile = function (file, namespace) {
 }
 
 /**
- * Generate common backbone code.
+ * Generate common backbone code. The attributes being set are validated
+ * against the model's `validations`, see `backboneValidations()`, so that
+ * a partial set isn't rejected for the attributes it leaves out. Errors
+ * have the same shape as the server's, e.g. `{ error: { status: 422,
+ * message: .., fields: { title: { type: 'required', message: .. } } } }`.
+ * DBRefs are loaded with `related()`, see `backboneRelations()`.
  *
  * @param {string} namespace (optional)
  * @api private
@@ -179,23 +226,275 @@ function backboneCommon (namespace) {
          + '            }\n'
          + '        }\n'
          + '    }\n'
+         + '  , validate: function (attributes) {\n'
+         + '        var fields = {}, path, rules, value, parts, type, i;\n'
+         + '        for (path in this.validations) {\n'
+         + '            rules = this.validations[path];\n'
+         + '            parts = path.split(\'.\');\n'
+         + '            if (!attributes || !(parts[0] in attributes)) {\n'
+         + '                continue;\n'
+         + '            }\n'
+         + '            for (value = attributes, i = 0; i < parts.length; i++) {\n'
+         + '                value = value === null || typeof value === \'undefined\' '
+         +                      '? value : value[parts[i]];\n'
+         + '            }\n'
+         + '            type = null;\n'
+         + '            if (value === null || typeof value === \'undefined\' '
+         +                  '|| value === \'\' || (_.isArray(value) && !value.length)) {\n'
+         + '                if (rules.required === true || '
+         +                      '(rules.required === \'create\' && this.isNew())) {\n'
+         + '                    type = \'required\';\n'
+         + '                }\n'
+         + '            } else {\n'
+         + '                _.each(_.isArray(value) ? value : [value], function (value) {\n'
+         + '                    if (rules[\'enum\'] && '
+         +                          '_.indexOf(rules[\'enum\'], value) === -1) {\n'
+         + '                        type = type || \'enum\';\n'
+         + '                    } else if (\'min\' in rules && value < rules.min) {\n'
+         + '                        type = type || \'min\';\n'
+         + '                    } else if (\'max\' in rules && value > rules.max) {\n'
+         + '                        type = type || \'max\';\n'
+         + '                    } else if (rules.match && !rules.match.test(value)) {\n'
+         + '                        type = type || \'regexp\';\n'
+         + '                    }\n'
+         + '                });\n'
+         + '            }\n'
+         + '            if (type) {\n'
+         + '                fields[path] = { type: type, message: '
+         +                      '\'Validator "\' + type + \'" failed for path \' + path };\n'
+         + '            }\n'
+         + '        }\n'
+         + '        if (!_.isEmpty(fields)) {\n'
+         + '            return { error: { status: 422, message: '
+         +                      '\'The resource is invalid.\', fields: fields } };\n'
+         + '        }\n'
+         + '    }\n'
+         + '  , related: function (attr, model, options, collection) {\n'
+         + '        var value = this.get(attr)\n'
+         + '          , cache = this._related || (this._related = {})\n'
+         + '          , related = cache[attr];\n'
+         + '        options = options || {};\n'
+         + '        if (!related || related.value !== value) {\n'
+         + '            related = cache[attr] = { value: value, instances: [] };\n'
+         + '            _.each(_.isArray(value) ? value : [value], function (value) {\n'
+         + '                if (value !== null && typeof value !== \'undefined\') {\n'
+         + '                    related.instances.push({\n'
+         + '                        model: new model(typeof value === \'object\' '
+         +                              '? value : { id: value })\n'
+         + '                      , loaded: typeof value === \'object\'\n'
+         + '                    });\n'
+         + '                }\n'
+         + '            });\n'
+         + '            related.models = _.pluck(related.instances, \'model\');\n'
+         + '            related.result = collection ? new collection(related.models) '
+         +                  ': related.models[0] || null;\n'
+         + '        }\n'
+         + '        if (options.fetch) {\n'
+         + '            _.each(related.instances, function (instance) {\n'
+         + '                if (!instance.loaded) {\n'
+         + '                    instance.loaded = true;\n'
+         + '                    instance.model.fetch(options);\n'
+         + '                }\n'
+         + '            });\n'
+         + '        }\n'
+         + '        return related.result;\n'
+         + '    }\n'
          + '});\n'
          + '\n\n'
          + 'var '+namespace+'Collection = Backbone.Collection.extend({});\n\n';
 }
 
 /**
- * Generate backbone code for embedded models.
+ * Generate the validations of a model from its schema's required, enum,
+ * min, max and match constraints. Attributes the server may not send,
+ * e.g. writeonly ones, are only required when a model is created. Custom
+ * validators can't be generated, so they're listed under `custom` and
+ * only run by the server. Returns null if there's nothing to validate.
+ *
+ * @param {string} resource
+ * @return {string} validations
+ * @api private
+ */
+
+function backboneValidations (resource) {
+    var paths = models.describe(resource)
+      , field_rules = models.getFieldRules(resource)
+      , validations = [];
+
+    Object.keys(paths).forEach(function (name) {
+        var path = paths[name]
+          , attr = field_rules[name.split('.')[0]] || {}
+          , rules = [];
+
+        if (path.type === 'Embedded' || attr.hidden || attr.readonly) {
+            return;
+        }
+
+        if (path.required) {
+            rules.push('required: ' + (attr.writeonly || attr.adminOnly ? '\'create\'' : 'true'));
+        }
+        if (path['enum']) {
+            rules.push('\'enum\': ' + JSON.stringify(path['enum']));
+        }
+        if (typeof path.min === 'number') {
+            rules.push('min: ' + path.min);
+        }
+        if (typeof path.max === 'number') {
+            rules.push('max: ' + path.max);
+        }
+        if (path.match) {
+            rules.push('match: ' + path.match.toString());
+        }
+        if (path.custom.length) {
+            rules.push('custom: ' + JSON.stringify(path.custom)
+                     + ' /* checked by the server only */');
+        }
+
+        if (rules.length) {
+            validations.push(JSON.stringify(name) + ': { ' + rules.join(', ') + ' }');
+        }
+    });
+
+    if (!validations.length) {
+        return null;
+    }
+
+    return 'validations: {\n'
+         + '        ' + validations.join('\n      , ') + '\n'
+         + '    }';
+}
+
+/**
+ * Generate the defaults of a model from its schema. Defaults that are
+ * generated by functions, e.g. `Date.now`, are left to the server.
+ * Returns null if there are none.
+ *
+ * @param {string} resource
+ * @return {string} defaults
+ * @api private
+ */
+
+function backboneDefaults (resource) {
+    var paths = models.describe(resource)
+      , field_rules = models.getFieldRules(resource)
+      , defaults = {}
+      , found = false;
+
+    Object.keys(paths).forEach(function (name) {
+        var value = paths[name]['default']
+          , parts = name.split('.')
+          , obj = defaults
+          , attr = field_rules[parts[0]] || {};
+
+        if (typeof value === 'undefined' || typeof value === 'function'
+                || paths[name].type === 'Embedded' || attr.hidden) {
+            return;
+        }
+        parts.slice(0, -1).forEach(function (part) {
+            obj = obj[part] = obj[part] || {};
+        });
+        obj[parts[parts.length - 1]] = value;
+        found = true;
+    });
+
+    if (!found) {
+        return null;
+    }
+
+    //A function, so that nested objects aren't shared between models
+    return 'defaults: function () {\n'
+         + '        return ' + JSON.stringify(defaults) + ';\n'
+         + '    }';
+}
+
+/**
+ * Generate an accessor for each DBRef of a model, e.g. `getAuthor()` for
+ * `author: { type: ObjectId, ref: 'User' }`. Accessors return an instance
+ * of the referenced model, or a collection of them for arrays of DBRefs,
+ * built from the ID or the populated document. Pass `{ fetch: true }`
+ * and any `fetch()` options to load references that weren't populated
+ * from their `urlRoot`, e.g. `post.getAuthor({ fetch: true, success: .. })`.
+ * Only DBRefs to top level resources get accessors, embedded documents
+ * have no `urlRoot` to be fetched from.
+ *
+ * @param {string} namespace
+ * @param {string} resource
+ * @return {array} accessors
+ * @api private
+ */
+
+function backboneRelations (namespace, resource) {
+    var paths = models.describe(resource)
+      , field_rules = models.getFieldRules(resource);
+
+    return models.getDbrefAttributes(resource).filter(function (attr) {
+        var rule = field_rules[attr] || {};
+        return models.isTopLevel(paths[attr].ref)
+            && !rule.hidden && !rule.writeonly;
+    }).map(function (attr) {
+        var klass = namespace + classify(lingo.singularize(paths[attr].ref));
+        return 'get' + classify(attr) + ': function (options) {\n'
+             + '        return this.related(\'' + attr + '\', ' + klass + ', options'
+             + (paths[attr].array ? ', ' + klass + 'Collection' : '') + ');\n'
+             + '    }';
+    });
+}
+
+/**
+ * Generate the properties of a model that come from its schema.
+ *
+ * @param {string} namespace
+ * @param {string} resource
+ * @return {array} properties
+ * @api private
+ */
+
+function backboneProperties (namespace, resource) {
+    return [
+        backboneDefaults(resource)
+      , backboneValidations(resource)
+    ].filter(Boolean).concat(backboneRelations(namespace, resource));
+}
+
+/**
+ * Generate backbone code for embedded models. Embedded models with their
+ * own embedded documents get collections for them, with URLs below the
+ * model's URL, e.g. /Posts/:id/Comments/:id/Replies.
  *
  * @param {string} namespace (optional)
  * @api private
  */
 
 function backboneEmbeddedModel (namespace, resource) {
-    var singular = namespace + classify(lingo.singularize(resource));
+    var singular = namespace + classify(lingo.singularize(resource))
+      , properties = backboneProperties(namespace, resource)
+      , initialize;
+
+    if (!properties.length && !models.hasChildren(resource)) {
+        return 'var '+singular+' = '+namespace+'Model.extend({})\n'
+             + '  , '+singular+'Collection = '
+             + namespace+'Collection.extend({ model: '+singular+' });\n\n';
+    }
 
-    return 'var '+singular+' = '+namespace+'Model.extend({})\n'
-         + '  , '+singular+'Collection = '
+    if (models.hasChildren(resource)) {
+        initialize = 'initialize: function () {\n'
+                   + '        var self = this;\n';
+        models.getChildren(resource).forEach(function (em) {
+            initialize += '        this.'+em.attribute+' = new '
+                        + namespace + classify(em.singular) + 'Collection;\n'
+                        + '        this.'+em.attribute+'.url = function () {\n'
+                        + '            return self.url() + \'/'+em.plural+'\';\n'
+                        + '        };\n';
+        });
+        initialize += '        this.pullEmbedded();\n'
+                    + '    }';
+        properties.push(initialize);
+    }
+
+    return 'var '+singular+' = '+namespace+'Model.extend({\n'
+         + '    ' + properties.join('\n  , ') + '\n'
+         + '});\n\n'
+         + 'var '+singular+'Collection = '
          + namespace+'Collection.extend({ model: '+singular+' });\n\n';
 }
 
@@ -211,9 +510,13 @@ function backboneTopLevelModel (namespace, resource, children) {
       , plural = lingo.pluralize(resource)
       , backbone = '';
 
-    backbone += 'var '+singular+' = Model.extend({\n'
+    backbone += 'var '+singular+' = '+namespace+'Model.extend({\n'
               + '    urlRoot: \'/'+plural+'\'\n';
 
+    backboneProperties(namespace, resource).forEach(function (property) {
+        backbone += '  , ' + property + '\n';
+    });
+
     if (models.hasChildren(resource)) {
         backbone += '  , initialize: function () {\n';
         models.getChildren(resource).forEach(function (em) {
@@ -228,7 +531,7 @@ function backboneTopLevelModel (namespace, resource, children) {
 
     backbone += '});\n\n';
 
-    backbone += 'var ' + singular + 'Collection = Collection.extend({\n'
+    backbone += 'var ' + singular + 'Collection = ' + namespace + 'Collection.extend({\n'
               + '    model: ' + singular + '\n'
               + '  , url: \'/' + plural + '\'\n'
               + '});\n\n';
@@ -0,0 +1,136 @@
+/*!
+ * Chris O'Hara
+ * Copyright(c) 2011 Chris O'Hara <cohara87@gmail.com>
+ * MIT Licensed
+ */
+
+/**
+ * Default messages for each status code.
+ */
+
+exports.messages = {
+    400 : 'Bad request.'
+  , 403 : 'Forbidden.'
+  , 404 : 'Not found.'
+  , 406 : 'Not acceptable.'
+  , 409 : 'The resource already exists.'
+  , 412 : 'The resource has been modified.'
+  , 415 : 'Unsupported media type.'
+  , 422 : 'The resource is invalid.'
+  , 424 : 'The operation depends on one that failed.'
+}
+
+/**
+ * Get the status code for a Mongoose or MongoDB error. Returns null for
+ * errors that aren't the client's fault.
+ *
+ * @param {Error} err
+ * @return {number} status
+ * @api public
+ */
+
+exports.status = function (err) {
+    if (!err) {
+        return null
+    } else if (err.name === 'ValidationError') {
+        return 422
+    } else if (err.name === 'CastError') {
+        return 400
+    } else if (err.name === 'VersionError') {
+        return 412
+    } else if (err.code === 11000 || err.code === 11001
+            || /^E1100[01]/.test(err.message || err.err)) {
+        return 409
+    }
+    return null
+}
+
+/**
+ * Get the per-field errors for a Mongoose or MongoDB error, keyed by path.
+ *
+ * @param {Error} err
+ * @return {object} fields
+ * @api public
+ */
+
+exports.fields = function (err) {
+    var fields = {}, match
+
+    if (err.name === 'ValidationError') {
+        for (var path in err.errors) {
+            fields[path] = {
+                type    : err.errors[path].type
+              , message : err.errors[path].message
+            }
+        }
+    } else if (err.name === 'CastError' && err.path) {
+        fields[err.path] = { type: 'cast', message: err.message }
+    } else if (match = /index: \S*?\$(\w+?)_-?1/.exec(err.message || err.err)) {
+        fields[match[1]] = { type: 'unique', message: err.message || err.err }
+    }
+
+    return fields
+}
+
+/**
+ * Build the JSON error body.
+ *
+ * @param {number} status
+ * @param {string} message
+ * @param {object} fields (optional)
+ * @return {object} body
+ * @api public
+ */
+
+exports.body = function (status, message, fields) {
+    var body = { error: {
+        status  : status
+      , message : message || exports.messages[status] || 'Error.'
+    }}
+    if (fields && Object.keys(fields).length) {
+        body.error.fields = fields
+    }
+    return body
+}
+
+/**
+ * Send an error response. JSON clients get the error body, HTML clients
+ * get a flash message and are redirected back.
+ *
+ * @param {IncomingMessage} request
+ * @param {ServerResponse} response
+ * @param {number} status
+ * @param {string} message (optional)
+ * @param {object} fields (optional)
+ * @api public
+ */
+
+exports.send = function (request, response, status, message, fields) {
+    var body = exports.body(status, message, fields)
+    if (request.format) {
+        response.send(body, status)
+    } else {
+        request.flash('error', body.error.message)
+        response.redirect('back')
+    }
+}
+
+/**
+ * Handle an error from Mongoose. Errors caused by the request are sent
+ * with the appropriate status code, anything else is passed on.
+ *
+ * @param {IncomingMessage} request
+ * @param {ServerResponse} response
+ * @param {function} next
+ * @param {Error} err
+ * @api public
+ */
+
+exports.handle = function (request, response, next, err) {
+    var status = exports.status(err)
+    if (!status) {
+        return next(err instanceof Error ? err : new Error(err))
+    }
+    exports.send(request, response, status, status === 409 ? null : err.message,
+                 exports.fields(err))
+}
@@ -0,0 +1,381 @@
+/*!
+ * Chris O'Hara
+ * Copyright(c) 2011 Chris O'Hara <cohara87@gmail.com>
+ * MIT Licensed
+ */
+
+/**
+ * Module dependencies.
+ */
+
+var models = require('./models')
+
+/**
+ * Map filter operators to their MongoDB equivalent. `eq` has no operator
+ * in MongoDB and is expressed as a plain value.
+ */
+
+exports.operators = {
+    'eq'     : null
+  , 'ne'     : '$ne'
+  , 'gt'     : '$gt'
+  , 'gte'    : '$gte'
+  , 'lt'     : '$lt'
+  , 'lte'    : '$lte'
+  , 'in'     : '$in'
+  , 'nin'    : '$nin'
+  , 'regex'  : '$regex'
+  , 'exists' : '$exists'
+}
+
+/**
+ * The ObjectID format.
+ */
+
+var id_format = /^[0-9a-f]{24}$/
+
+/**
+ * The maximum length of a `regex` filter value.
+ */
+
+exports.max_regex_length = 100
+
+/**
+ * Raised when a filter references an unknown attribute or operator,
+ * or when a value can't be coerced to the attribute's type.
+ *
+ * @param {string} message
+ * @api public
+ */
+
+function FilterError (message) {
+    Error.call(this)
+    Error.captureStackTrace(this, arguments.callee)
+    this.name = 'FilterError'
+    this.message = message
+}
+
+FilterError.prototype.__proto__ = Error.prototype
+
+exports.FilterError = FilterError
+
+/**
+ * Coerce a query string value to the type of an attribute, checking it
+ * against the attribute's enum values if it has them.
+ *
+ * @param {string} attr
+ * @param {object} path - see `models.describe()`
+ * @param {string} value
+ * @return {mixed} coerced
+ * @api private
+ */
+
+function coerce (attr, path, value) {
+    var coerced
+    if (typeof value !== 'string') {
+        throw new FilterError('Invalid value for "' + attr + '"')
+    }
+    switch (path.type) {
+    case 'Number':
+        coerced = Number(value)
+        if (value === '' || isNaN(coerced)) {
+            throw new FilterError('"' + attr + '" must be a number')
+        }
+        return coerced
+    case 'Date':
+        coerced = new Date(/^-?\d+$/.test(value) ? Number(value) : value)
+        if (isNaN(coerced.getTime())) {
+            throw new FilterError('"' + attr + '" must be a date')
+        }
+        return coerced
+    case 'Boolean':
+        if (value === 'true' || value === '1') {
+            return true
+        } else if (value === 'false' || value === '0') {
+            return false
+        }
+        throw new FilterError('"' + attr + '" must be a boolean')
+    case 'ObjectID':
+        if (!id_format.test(value)) {
+            throw new FilterError('"' + attr + '" must be an ID')
+        }
+        return value
+    default:
+        if (path['enum'] && !~path['enum'].indexOf(value)) {
+            throw new FilterError('"' + attr + '" must be one of: ' + path['enum'].join(', '))
+        }
+        return value
+    }
+}
+
+/**
+ * Build the condition for a single operator.
+ *
+ * @param {string} attr
+ * @param {object} path - see `models.describe()`
+ * @param {string} operator
+ * @param {mixed} value
+ * @return {mixed} condition
+ * @api private
+ */
+
+function condition (attr, path, operator, value) {
+    switch (operator) {
+    case 'in':
+    case 'nin':
+        if (!Array.isArray(value)) {
+            value = typeof value === 'string' ? value.split(',') : [value]
+        }
+        return value.map(function (value) {
+            return coerce(attr, path, value)
+        })
+    case 'exists':
+        return coerce(attr, { type: 'Boolean' }, value)
+    case 'regex':
+        if (path.type !== 'String' || typeof value !== 'string') {
+            throw new FilterError('"' + attr + '" does not support regex')
+        } else if (value.length > exports.max_regex_length) {
+            throw new FilterError('The regex for "' + attr + '" is too long')
+        }
+        //Client input is matched literally, so it can't be used for ReDoS
+        return new RegExp((value.charAt(0) === '^' ? '^' : '')
+            + value.replace(/^\^/, '').replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&'))
+    default:
+        return coerce(attr, path, value)
+    }
+}
+
+/**
+ * Convert a parsed `where` query, e.g. `?where[price][gt]=10`, into
+ * MongoDB conditions for the resource. A bare value is shorthand for
+ * `eq`, e.g. `?where[status]=draft`. The `regex` operator matches strings
+ * that contain its value, or that start with it if it starts with "^",
+ * e.g. `?where[title][regex]=^Hello`; no other regex syntax is supported.
+ *
+ * @param {string} resource
+ * @param {object} where
+ * @param {object} user (optional)
+ * @return {object} conditions
+ * @throws {FilterError}
+ * @api public
+ */
+
+exports.parse = function (resource, where, user) {
+    var conditions = {}, paths
+
+    if (!where) {
+        return conditions
+    } else if (typeof where !== 'object' || Array.isArray(where)) {
+        throw new FilterError('Invalid filter')
+    }
+
+    paths = models.describe(resource)
+
+    Object.keys(where).forEach(function (attr) {
+        var path, ops = where[attr], cond = {}, operators
+
+        if (attr === 'id') {
+            attr = '_id'
+        }
+        path = paths.hasOwnProperty(attr) ? paths[attr] : null
+
+        if (!path || !models.isReadable(resource, attr.split('.')[0], user)) {
+            throw new FilterError('Unknown attribute "' + attr + '"')
+        } else if (path.type === 'Embedded') {
+            throw new FilterError('Cannot filter on "' + attr + '"')
+        }
+
+        if (typeof ops !== 'object' || Array.isArray(ops)) {
+            ops = { eq: ops }
+        }
+
+        operators = Object.keys(ops)
+        operators.forEach(function (operator) {
+            if (!exports.operators.hasOwnProperty(operator)) {
+                throw new FilterError('Unknown operator "' + operator + '"')
+            }
+            var value = condition(attr, path, operator, ops[operator])
+            if (operator !== 'eq') {
+                cond[exports.operators[operator]] = value
+            } else if (operators.length === 1) {
+                cond = value
+            } else {
+                throw new FilterError('"eq" cannot be combined with other operators')
+            }
+        })
+
+        conditions[attr] = cond
+    })
+
+    return conditions
+}
+
+/**
+ * Split a comma separated query param into a list.
+ *
+ * @param {string} value
+ * @return {array} list
+ * @api private
+ */
+
+function list (value) {
+    if (Array.isArray(value)) {
+        value = value.join(',')
+    }
+    return String(value).split(',').map(function (item) {
+        return item.trim()
+    }).filter(Boolean)
+}
+
+/**
+ * Parse a sparse fieldset, e.g. `?fields=title,author`. Returns null when
+ * no fieldset was requested so that every attribute is selected. The ID
+ * is always selected, so an empty fieldset selects just the ID.
+ *
+ * @param {string} resource
+ * @param {string} value
+ * @param {object} user (optional)
+ * @return {array} fields
+ * @throws {FilterError}
+ * @api public
+ */
+
+exports.fields = function (resource, value, user) {
+    if (typeof value === 'undefined') {
+        return null
+    }
+
+    var attributes = models.getAttributes(resource)
+
+    return ['_id'].concat(list(value).filter(function (attr) {
+        if (attr !== 'id' && (!~attributes.indexOf(attr)
+                           || !models.isReadable(resource, attr, user))) {
+            throw new FilterError('Unknown attribute "' + attr + '"')
+        }
+        return attr !== 'id' && attr !== '_id'
+    }))
+}
+
+/**
+ * Parse the DBRefs to populate, e.g. `?populate=author,tags`. An empty
+ * `?populate=` populates nothing, and `defaults` are used when the param
+ * is missing.
+ *
+ * @param {string} resource
+ * @param {string} value
+ * @param {array} defaults
+ * @param {object} user (optional)
+ * @return {array} attributes
+ * @throws {FilterError}
+ * @api public
+ */
+
+exports.populate = function (resource, value, defaults, user) {
+    if (typeof value === 'undefined') {
+        return defaults
+    }
+
+    var dbrefs = models.getDbrefAttributes(resource)
+
+    return list(value).map(function (attr) {
+        if (!~dbrefs.indexOf(attr) || !models.isReadable(resource, attr, user)) {
+            throw new FilterError('"' + attr + '" is not a reference')
+        }
+        return attr
+    })
+}
+
+/**
+ * Normalize a value for comparison, so that dates and IDs compare by value.
+ *
+ * @param {mixed} value
+ * @return {mixed} normalized
+ * @api private
+ */
+
+function normalize (value) {
+    if (value instanceof Date) {
+        return value.getTime()
+    } else if (value && typeof value.toHexString === 'function') {
+        return value.toHexString()
+    }
+    return value
+}
+
+/**
+ * Check a single value against an operator.
+ *
+ * @param {string} operator - e.g. "$gt", or null for equality
+ * @param {mixed} value
+ * @param {mixed} operand
+ * @return {boolean} matches
+ * @api private
+ */
+
+function test (operator, value, operand) {
+    var a = normalize(value), b = normalize(operand)
+
+    switch (operator) {
+    case '$gt':
+        return a !== null && typeof a !== 'undefined' && a > b
+    case '$gte':
+        return a !== null && typeof a !== 'undefined' && a >= b
+    case '$lt':
+        return a !== null && typeof a !== 'undefined' && a < b
+    case '$lte':
+        return a !== null && typeof a !== 'undefined' && a <= b
+    case '$in':
+        return operand.some(function (operand) {
+            return test(null, value, operand)
+        })
+    case '$regex':
+        return typeof value === 'string' && operand.test(value)
+    default:
+        return a === b || (a === null && typeof b === 'undefined')
+            || (b === null && typeof a === 'undefined')
+    }
+}
+
+/**
+ * Check whether an instance matches the conditions built by `parse()`.
+ * This is used where the conditions can't be run as a query, e.g. for
+ * embedded documents. As in MongoDB, a condition on an array attribute
+ * matches if any of its elements match.
+ *
+ * @param {Document|object} instance
+ * @param {object} conditions
+ * @return {boolean} matches
+ * @api public
+ */
+
+exports.matches = function (instance, conditions) {
+    return Object.keys(conditions).every(function (attr) {
+        var value = instance.get ? instance.get(attr) : instance[attr]
+          , values = Array.isArray(value) ? value : [value]
+          , cond = conditions[attr]
+
+        function any (operator, operand) {
+            return values.some(function (value) {
+                return test(operator, value, operand)
+            })
+        }
+
+        if (!cond || typeof cond !== 'object' || cond instanceof Date
+                || typeof cond.toHexString === 'function') {
+            return any(null, cond)
+        }
+
+        return Object.keys(cond).every(function (operator) {
+            switch (operator) {
+            case '$exists':
+                return (typeof value !== 'undefined' && value !== null) === cond.$exists
+            case '$ne':
+                return !any(null, cond.$ne)
+            case '$nin':
+                return !any('$in', cond.$nin)
+            default:
+                return any(operator, cond[operator])
+            }
+        })
+    })
+}
@@ -0,0 +1,314 @@
+/*!
+ * Chris O'Hara
+ * Copyright(c) 2011 Chris O'Hara <cohara87@gmail.com>
+ * MIT Licensed
+ */
+
+/**
+ * Module dependencies.
+ */
+
+var models = require('./models')
+  , lingo = require('lingo').en
+
+/**
+ * Registered formats, keyed by the :format param.
+ */
+
+var formats = {}
+
+/**
+ * Register a response format. The serializer receives the JSON safe
+ * instance (or array of instances), the resource name and the user,
+ * and returns the response body, e.g.
+ *
+ *     formats.register('txt', 'text/plain', function (data, resource) {
+ *         return JSON.stringify(data)
+ *     })
+ *
+ * @param {string} name
+ * @param {string} type - the Content-Type of the response
+ * @param {function} serialize
+ * @api public
+ */
+
+exports.register = function (name, type, serialize) {
+    formats[name] = { name: name, type: type, serialize: serialize }
+}
+
+/**
+ * Get a registered format.
+ *
+ * @param {string} name
+ * @return {object} format
+ * @api public
+ */
+
+exports.get = function (name) {
+    return formats.hasOwnProperty(name) ? formats[name] : null
+}
+
+/**
+ * Check whether a format has been registered.
+ *
+ * @param {string} name
+ * @return {boolean} registered
+ * @api public
+ */
+
+exports.has = function (name) {
+    return formats.hasOwnProperty(name)
+}
+
+/**
+ * Serialize data and send it in the specified format.
+ *
+ * @param {ServerResponse} response
+ * @param {string} name
+ * @param {string} resource
+ * @param {object|array} data
+ * @param {object} user (optional)
+ * @api public
+ */
+
+exports.send = function (response, name, resource, data, user) {
+    var format = exports.get(name)
+    response.header('Content-Type', format.type)
+    response.send(format.serialize(data, resource, user))
+}
+
+/**
+ * Parse an Accept header into a list of media types, most preferred first.
+ *
+ * @param {string} accept
+ * @return {array} types
+ * @api private
+ */
+
+function parseAccept (accept) {
+    return accept.split(',').map(function (part, index) {
+        var params = part.split(';')
+          , type = params.shift().trim().toLowerCase()
+          , q = 1
+        params.forEach(function (param) {
+            param = param.split('=')
+            if (param[0].trim() === 'q') {
+                q = parseFloat(param[1]) || 0
+            }
+        })
+        return { type: type, q: q, index: index }
+    }).filter(function (accepted) {
+        return accepted.type && accepted.q > 0
+    }).sort(function (a, b) {
+        return (b.q - a.q) || (a.index - b.index)
+    }).map(function (accepted) {
+        return accepted.type
+    })
+}
+
+/**
+ * Negotiate the response format for a request. An explicit :format
+ * suffix wins, then XHR requests get JSON, then the Accept header is
+ * matched against the registered formats. Returns "html" when the
+ * client prefers HTML, or null when no acceptable format is registered.
+ *
+ * @param {IncomingMessage} request
+ * @return {string} format
+ * @api public
+ */
+
+exports.negotiate = function (request) {
+    var suffix = request.format || (request.params && request.params.format)
+      , accept = request.headers && request.headers.accept
+      , types
+
+    if (suffix) {
+        return exports.has(suffix) ? suffix : null
+    } else if (request.xhr) {
+        return 'json'
+    }
+
+    types = parseAccept(accept || '*/*')
+
+    for (var i = 0, l = types.length; i < l; i++) {
+        var type = types[i]
+        if (type === 'text/html' || type === 'application/xhtml+xml'
+                || type === 'text/*') {
+            return 'html'
+        } else if (type === '*/*') {
+            return 'json'
+        }
+        for (var name in formats) {
+            if (formats[name].type === type
+                    || type === formats[name].type.split('/')[0] + '/*') {
+                return name
+            }
+        }
+    }
+
+    return null
+}
+
+/**
+ * Convert a Date or an ObjectID to a string, leaving other values as is.
+ *
+ * @param {mixed} value
+ * @return {mixed} scalar
+ * @api private
+ */
+
+function scalar (value) {
+    if (value instanceof Date) {
+        return value.toISOString()
+    } else if (value && typeof value.toHexString === 'function') {
+        return value.toHexString()
+    }
+    return value
+}
+
+/**
+ * Convert a single value to a flat, string representation. Arrays of
+ * scalars are joined, embedded documents and other objects are JSON
+ * encoded and populated DBRefs are reduced to their ID.
+ *
+ * @param {mixed} value
+ * @return {string} flat
+ * @api private
+ */
+
+function flatten (value) {
+    value = scalar(value)
+    if (value === null || typeof value === 'undefined') {
+        return ''
+    } else if (Array.isArray(value)) {
+        value = value.map(scalar)
+        if (value.some(function (elem) { return elem && typeof elem === 'object' })) {
+            return JSON.stringify(value)
+        }
+        return value.join(',')
+    } else if (typeof value === 'object') {
+        return 'id' in value ? flatten(value.id) : JSON.stringify(value)
+    }
+    return String(value)
+}
+
+/**
+ * Escape a CSV field. Fields that spreadsheets would run as a formula,
+ * i.e. that start with "=", "+", "-", "@" or a tab or carriage return,
+ * are prefixed with "'" so that they're shown as text. Numbers are left
+ * as they are.
+ *
+ * @param {string} str
+ * @return {string} escaped
+ * @api private
+ */
+
+function csvEscape (str) {
+    if (/^[=+\-@\t\r]/.test(str) && !/^-\d+(\.\d+)?$/.test(str)) {
+        return '"\'' + str.replace(/"/g, '""') + '"'
+    } else if (/[",\r\n]/.test(str)) {
+        return '"' + str.replace(/"/g, '""') + '"'
+    }
+    return str
+}
+
+/**
+ * Escape XML text.
+ *
+ * @param {string} str
+ * @return {string} escaped
+ * @api private
+ */
+
+function xmlEscape (str) {
+    return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;')
+                      .replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+}
+
+/**
+ * Convert an attribute name to a valid XML element name.
+ *
+ * @param {string} name
+ * @return {string} element
+ * @api private
+ */
+
+function xmlName (name) {
+    name = String(name).replace(/[^\w.-]/g, '_')
+    return /^[a-z_]/i.test(name) ? name : '_' + name
+}
+
+/**
+ * Serialize a value as an XML element.
+ *
+ * @param {string} name
+ * @param {mixed} value
+ * @return {string} xml
+ * @api private
+ */
+
+function xmlElement (name, value) {
+    var xml = '<' + xmlName(name) + '>'
+    if (Array.isArray(value)) {
+        value.forEach(function (elem) {
+            xml += xmlElement(lingo.singularize(name), elem)
+        })
+    } else if (value instanceof Date || (value && typeof value.toHexString === 'function')) {
+        xml += xmlEscape(scalar(value))
+    } else if (value && typeof value === 'object') {
+        for (var attr in value) {
+            xml += xmlElement(attr, value[attr])
+        }
+    } else if (value !== null && typeof value !== 'undefined') {
+        xml += xmlEscape(value)
+    }
+    return xml + '</' + xmlName(name) + '>'
+}
+
+/**
+ * Built-in formats.
+ */
+
+exports.register('json', 'application/json', function (data) {
+    return JSON.stringify(data)
+})
+
+exports.register('ndjson', 'application/x-ndjson', function (data) {
+    return (Array.isArray(data) ? data : [data]).map(function (instance) {
+        return JSON.stringify(instance) + '\n'
+    }).join('')
+})
+
+exports.register('csv', 'text/csv', function (data, resource, user) {
+    var columns = ['id']
+      , rows
+      , instances = Array.isArray(data) ? data : [data]
+
+    //One column per attribute, nested objects are flattened into theirs
+    Object.keys(models.describe(resource)).forEach(function (path) {
+        var attr = path.split('.')[0]
+        if (attr !== '_id' && !~columns.indexOf(attr)
+                && models.isReadable(resource, attr, user)) {
+            columns.push(attr)
+        }
+    })
+    rows = [columns.map(csvEscape).join(',')]
+
+    instances.forEach(function (instance) {
+        rows.push(columns.map(function (attr) {
+            return csvEscape(flatten(instance[attr]))
+        }).join(','))
+    })
+
+    return rows.join('\r\n') + '\r\n'
+})
+
+exports.register('xml', 'application/xml', function (data, resource) {
+    var singular = lingo.singularize(resource).toLowerCase()
+      , xml = '<?xml version="1.0" encoding="UTF-8"?>\n'
+
+    if (Array.isArray(data)) {
+        return xml + xmlElement(lingo.pluralize(singular), data)
+    }
+    return xml + xmlElement(singular, data)
+})
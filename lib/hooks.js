@@ -0,0 +1,142 @@
+/*!
+ * Chris O'Hara
+ * Copyright(c) 2011 Chris O'Hara <cohara87@gmail.com>
+ * MIT Licensed
+ */
+
+/**
+ * Registered hooks.
+ */
+
+var hooks = []
+
+/**
+ * Register a hook.
+ *
+ * @param {string} type - before or after
+ * @param {string} resource
+ * @param {string} action
+ * @param {function} fn
+ * @api private
+ */
+
+function register (type, resource, action, fn) {
+    hooks.push({ type: type, resource: resource, action: action, fn: fn })
+}
+
+/**
+ * Register a hook that runs before an action, e.g.
+ *
+ *     hooks.before('Post', 'create', function (context, done) {
+ *         context.instance.owner = context.request.user.id
+ *         done()
+ *     })
+ *
+ * The context has the `request`, `response`, `resource`, `action`, the
+ * `instance` being acted on, the sanitized request `body` and for embedded
+ * documents the `parent` and the top level document they're saved in,
+ * `root`. Call `done()` to continue, `done(status, message)` to cancel the
+ * action with a status code or `done(err)` to fail it.
+ *
+ * Actions are create, update (PUT and PATCH), destroy, revert, move, which
+ * also has the `target` parent and `position`, and for soft deleted
+ * resources restore and purge. Use "*" as the resource or action to match
+ * all of them.
+ *
+ * @param {string} resource
+ * @param {string} action
+ * @param {function} fn
+ * @api public
+ */
+
+exports.before = function (resource, action, fn) {
+    register('before', resource, action, fn)
+}
+
+/**
+ * Register a hook that runs before any of those already registered for
+ * actions of a type, e.g. to see an instance before other hooks change it.
+ * See `before()`.
+ *
+ * @param {string} type - before or after
+ * @param {string} resource
+ * @param {string} action
+ * @param {function} fn
+ * @api public
+ */
+
+exports.prepend = function (type, resource, action, fn) {
+    hooks.unshift({ type: type, resource: resource, action: action, fn: fn })
+}
+
+/**
+ * Register a hook that runs after an action has succeeded, before the
+ * response is sent. See `before()`. The action has already been written,
+ * so after hooks can't cancel it: errors they fail with are passed to
+ * `report()` and the response is sent regardless.
+ *
+ * @param {string} resource
+ * @param {string} action
+ * @param {function} fn
+ * @api public
+ */
+
+exports.after = function (resource, action, fn) {
+    register('after', resource, action, fn)
+}
+
+/**
+ * Report an error that can't fail the request because the action has
+ * already been written, e.g. from an after hook. Override this to log
+ * errors somewhere other than stderr.
+ *
+ * @param {Error} err
+ * @param {object} context
+ * @api public
+ */
+
+exports.report = function (err, context) {
+    console.error('Error after ' + context.action + ' of ' + context.resource + ': '
+                + (err.stack || err))
+}
+
+/**
+ * Run the hooks of a type for the context's resource and action, in the
+ * order they were registered. The callback receives an error, or the
+ * status code and message if a before hook cancelled the action. After
+ * hooks always run to completion, see `after()`.
+ *
+ * @param {string} type - before or after
+ * @param {object} context
+ * @param {function} callback
+ * @api public
+ */
+
+exports.run = function (type, context, callback) {
+    var matching = hooks.filter(function (hook) {
+        return hook.type === type
+            && (hook.resource === '*' || hook.resource === context.resource)
+            && (hook.action === '*' || hook.action === context.action)
+    })
+
+    function next (i) {
+        if (i === matching.length) {
+            return callback(null)
+        }
+        matching[i].fn(context, function (status, message) {
+            if (type === 'after') {
+                if (status instanceof Error) {
+                    exports.report(status, context)
+                }
+                return next(i + 1)
+            } else if (status instanceof Error) {
+                return callback(status)
+            } else if (typeof status === 'number') {
+                return callback(null, status, message)
+            }
+            next(i + 1)
+        })
+    }
+
+    next(0)
+}
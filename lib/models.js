@@ -25,78 +25,157 @@ var embedded = [], top_level = []
 exports.mongoose = null;
 
 /**
- * A hacky way of mapping attributes => names.
+ * Embedded resources registered with `embed()`.
+ */
+
+var registered = {};
+
+/**
+ * Descriptions of each resource's paths, see `describe()`. They're built
+ * again by `use()`.
+ */
+
+var descriptions = {};
+
+/**
+ * Raised when the schema map can't be built, e.g. when it's ambiguous
+ * which resource an attribute embeds.
  *
- * @param {Schema} schema
- * @return {string} key
- * @api private
+ * @param {string} message
+ * @api public
  */
 
-function attrKey(schema) {
-    return Object.keys(schema.tree).join('-');
+function ConfigError (message) {
+    Error.call(this);
+    Error.captureStackTrace(this, arguments.callee);
+    this.name = 'ConfigError';
+    this.message = message;
 }
 
+ConfigError.prototype.__proto__ = Error.prototype;
+
+exports.ConfigError = ConfigError;
+
 /**
- * Build a schema map.
+ * Register the resource an attribute embeds, e.g.
  *
- * @param {Mongoose} mongoose
+ *     models.embed('Post', 'comments', 'Comment')
+ *
+ * This is only needed when the embedded schema isn't the one its model was
+ * created with, or when more than one model was created with it. It can
+ * also be set as an option, e.g. `comments: { type: [Comment], resource: 'Comment' }`.
+ * Registrations should be made before `use()` is called.
+ *
+ * @param {string} parent
+ * @param {string} attribute
+ * @param {string} resource
  * @api public
  */
 
-exports.use = function (mongoose) {
+exports.embed = function (parent, attribute, resource) {
+    registered[parent] = registered[parent] || {};
+    registered[parent][attribute] = resource;
+}
 
-    exports.mongoose = mongoose;
+/**
+ * Work out which resource an array of embedded documents holds, from its
+ * registration or else the model created with the same schema.
+ *
+ * @param {Mongoose} mongoose
+ * @param {string} model
+ * @param {string} attr
+ * @param {DocumentArray} path
+ * @return {string} resource
+ * @throws {ConfigError}
+ * @api private
+ */
 
-    var key, model, attr, schema, attr_map = {};
+function embeddedResource (mongoose, model, attr, path) {
+    var resource = registered[model] && registered[model][attr]
+                || path.options && path.options.resource
+      , matches;
 
-    //Create a map of attributes => model name
-    for (model in mongoose.modelSchemas) {
-        schema = mongoose.modelSchemas[model];
-        key = attrKey(schema);
-        if (key in attr_map) {
-            console.error('WARNING: Two or more schemas have the same attributes.');
-            process.exit(1)
+    if (resource) {
+        if (!(resource in mongoose.modelSchemas)) {
+            throw new ConfigError(model + '.' + attr + ' embeds "' + resource
+                                + '", which is not a model.');
         }
-        attr_map[key] = model;
+        return resource;
     }
 
+    matches = Object.keys(mongoose.modelSchemas).filter(function (resource) {
+        return mongoose.modelSchemas[resource] === path.schema;
+    });
+
+    if (matches.length > 1) {
+        throw new ConfigError('It is ambiguous whether ' + model + '.' + attr + ' embeds '
+                            + matches.join(' or ') + ', register it with embed().');
+    } else if (!matches.length) {
+        throw new ConfigError('No model was created with the schema ' + model + '.'
+                            + attr + ' embeds, register it with embed().');
+    }
+    return matches[0];
+}
+
+/**
+ * Build a schema map. It can be built again, e.g. for a new connection,
+ * and is left as it was if the schemas can't be mapped.
+ *
+ * @param {Mongoose} mongoose
+ * @throws {ConfigError}
+ * @api public
+ */
+
+exports.use = function (mongoose) {
+
+    var model, attr, path, schema, resource
+      , children = {}, parents = {}, embeds = [], top = [];
+
     //Work out which document schemas are embedded inside others
     for (model in mongoose.modelSchemas) {
         schema = mongoose.modelSchemas[model];
-        child_map[model] = [];
-        for (attr in schema.tree) {
-            (function (attr) {
-                if (Array.isArray(schema.tree[attr]) && schema.tree[attr][0].path) {
-                    key = attrKey(schema.tree[attr][0]);
-                    resource = attr_map[key];
-                    child_map[model].push({
-                        attribute : attr
-                      , resource  : resource
-                      , singular  : lingo.singularize(resource)
-                      , plural    : lingo.pluralize(resource)
-                    });
-                    embedded.push(resource);
-                    if (!(resource in parent_map)) {
-                        parent_map[resource] = [];
-                    }
-                    parent_map[resource].push({
-                        attribute : attr
-                      , resource  : model
-                      , singular  : lingo.singularize(model)
-                      , plural    : lingo.pluralize(model)
-                    });
-                }
-            }(attr));
+        children[model] = [];
+        for (attr in schema.paths) {
+            path = schema.paths[attr];
+            if (!path.schema || ~attr.indexOf('.')) {
+                continue;
+            }
+            resource = embeddedResource(mongoose, model, attr, path);
+            children[model].push({
+                attribute : attr
+              , resource  : resource
+              , singular  : lingo.singularize(resource)
+              , plural    : lingo.pluralize(resource)
+            });
+            if (!~embeds.indexOf(resource)) {
+                embeds.push(resource);
+            }
+            if (!(resource in parents)) {
+                parents[resource] = [];
+            }
+            parents[resource].push({
+                attribute : attr
+              , resource  : model
+              , singular  : lingo.singularize(model)
+              , plural    : lingo.pluralize(model)
+            });
         }
     }
 
     //Work out which resources are top level
     Object.keys(mongoose.modelSchemas).forEach(function (resource) {
-        if (!~embedded.indexOf(resource)) {
-            top_level.push(resource);
+        if (!~embeds.indexOf(resource)) {
+            top.push(resource);
         }
     });
 
+    exports.mongoose = mongoose;
+    descriptions = {};
+    embedded = embeds;
+    top_level = top;
+    child_map = children;
+    parent_map = parents;
+
 }
 
 /**
@@ -210,15 +289,138 @@ exports.hasParents = function (resource) {
 }
 
 /**
- * Get model attributes.
+ * Get model attributes, i.e. the top level of its described paths and
+ * of its virtuals.
  *
  * @return {string} resource
  * @api public
  */
 
 exports.getAttributes = function (resource) {
-    var schemas = exports.mongoose.modelSchemas
-    return Object.keys(schemas[resource].tree)
+    var virtuals = exports.mongoose.modelSchemas[resource].virtuals || {}
+      , attributes = []
+
+    Object.keys(exports.describe(resource)).concat(Object.keys(virtuals))
+                                           .forEach(function (path) {
+        var attr = path.split('.')[0]
+        if (!~attributes.indexOf(attr)) {
+            attributes.push(attr)
+        }
+    })
+
+    return attributes
+}
+
+/**
+ * The types of mongoose's own validators, other validators are custom.
+ */
+
+var builtin_validators = ['required', 'enum', 'min', 'max', 'regexp']
+
+/**
+ * Describe a schema path, see `describe()`.
+ *
+ * @param {string} resource
+ * @param {string} name
+ * @param {SchemaType} path
+ * @return {object} description
+ * @api private
+ */
+
+function describePath (resource, name, path) {
+    var options = path.options || {}
+      , element = path.caster && path.caster.options || options
+      , values = (path.caster || path).enumValues
+      , fallback = Array.isArray(options.type) ? options.type[0] : null
+      , child = null
+
+    if (!values || !values.length) {
+        values = element['enum']
+    }
+
+    if (path.schema) {
+        child = exports.getChildren(resource).filter(function (child) {
+            return child.attribute === name
+        })[0]
+    }
+
+    return {
+        path       : name
+      , type       : path.schema ? 'Embedded'
+                   : (path.caster || path).instance || 'Mixed'
+      , array      : !!(path.schema || path.caster || Array.isArray(options.type))
+      , required   : !!(path.isRequired || options.required)
+      , 'default'  : 'defaultValue' in path ? path.defaultValue : options['default']
+      , 'enum'     : Array.isArray(values) && values.length ? values : null
+      , min        : 'min' in element ? element.min : null
+      , max        : 'max' in element ? element.max : null
+      , match      : element.match instanceof RegExp ? element.match : null
+      , index      : !!(options.index || options.unique)
+      , unique     : !!options.unique
+      , ref        : element.ref || (fallback && typeof fallback === 'object'
+                                     && fallback.ref) || null
+      , resource   : child ? child.resource : null
+      , custom     : (path.validators || []).filter(function (validator) {
+            return !~builtin_validators.indexOf(validator[1])
+        }).map(function (validator) {
+            return validator[1] || 'custom'
+        })
+    }
+}
+
+/**
+ * Describe every path of a model, including nested paths such as
+ * "meta.votes". Each path is described by its:
+ *
+ *   - type: "String", "Number", "Date", "Boolean", "ObjectID", "Buffer",
+ *     "Mixed", or "Embedded" for arrays of embedded documents
+ *   - array: whether it's an array of the type
+ *   - required, index and unique flags
+ *   - default: the default value, or the function that generates it
+ *   - enum, min, max and match (a RegExp) constraints, or null
+ *   - ref: the resource it's a DBRef to, or null
+ *   - resource: the embedded resource, or null
+ *   - custom: the types of any custom validators, which can't be described
+ *
+ * Descriptions are cached until `use()` is called again, so they
+ * shouldn't be modified.
+ *
+ * @param {string} resource
+ * @return {object} paths - path => description
+ * @api public
+ */
+
+exports.describe = function (resource) {
+    var schema = exports.mongoose.modelSchemas[resource]
+      , cached = descriptions[resource]
+      , paths = {}
+
+    if (cached && cached.schema === schema) {
+        return cached.paths
+    }
+
+    Object.keys(schema.paths).forEach(function (path) {
+        paths[path] = describePath(resource, path, schema.paths[path])
+    })
+
+    descriptions[resource] = { schema: schema, paths: paths }
+    return paths
+}
+
+/**
+ * Get the top level attributes whose descriptions pass a test.
+ *
+ * @param {string} resource
+ * @param {function} test
+ * @return {array} attributes
+ * @api private
+ */
+
+function describedAttributes (resource, test) {
+    var paths = exports.describe(resource)
+    return Object.keys(paths).filter(function (path) {
+        return !~path.indexOf('.') && test(paths[path])
+    })
 }
 
 /**
@@ -229,37 +431,329 @@ exports.getAttributes = function (resource) {
  */
 
 exports.getArrayAttributes = function (resource) {
-    var arr = []
-      , schemas = exports.mongoose.modelSchemas
-      , tree = schemas[resource].tree
+    return describedAttributes(resource, function (path) {
+        return path.array
+    })
+}
+
+/**
+ * Get model attributes that are DBRefs, or arrays of DBRefs.
+ *
+ * @return {string} resource
+ * @api public
+ */
+
+exports.getDbrefAttributes = function (resource) {
+    return describedAttributes(resource, function (path) {
+        return !!path.ref
+    })
+}
 
-    for (var attr in tree) {
-        if (Array.isArray(tree[attr])) {
-            arr.push(attr)
+/**
+ * Get the type of a model attribute, e.g. "String", "Number", "Date",
+ * "Boolean", "ObjectID" or "Mixed". Array attributes report the type of
+ * their elements and arrays of embedded documents report "Embedded".
+ * Returns null when the attribute isn't defined on the schema.
+ *
+ * @param {string} resource
+ * @param {string} attr
+ * @return {string} type
+ * @api public
+ */
+
+exports.getAttributeType = function (resource, attr) {
+    var path = exports.describe(resource)[attr]
+    return path ? path.type : null
+}
+
+/**
+ * Field visibility rules registered with `setFieldRules`.
+ */
+
+var field_rules = {}
+
+/**
+ * The supported field visibility rules.
+ *
+ *   - readonly: can be read but not written
+ *   - writeonly: can be written but not read, e.g. a password
+ *   - hidden: can be neither read nor written
+ *   - adminOnly: can only be read and written by admins
+ */
+
+exports.rules = ['readonly', 'writeonly', 'hidden', 'adminOnly']
+
+/**
+ * Check whether a user is an admin for the purpose of `adminOnly` fields.
+ * Override this to match your user model.
+ *
+ * @param {object} user
+ * @return {boolean} is_admin
+ * @api public
+ */
+
+exports.isAdmin = function (user) {
+    return !!(user && user.admin)
+}
+
+/**
+ * Register field visibility rules for a resource, e.g.
+ *
+ *     models.setFieldRules('User', { role: 'adminOnly', password: 'writeonly' })
+ *
+ * Rules can also be set as schema options, e.g.
+ * `{ role: { type: String, adminOnly: true } }`.
+ *
+ * @param {string} resource
+ * @param {object} rules - attribute => rule or array of rules
+ * @api public
+ */
+
+exports.setFieldRules = function (resource, rules) {
+    field_rules[resource] = field_rules[resource] || {}
+    for (var attr in rules) {
+        field_rules[resource][attr] = [].concat(rules[attr])
+    }
+}
+
+/**
+ * Functions that add the rules other features imply, e.g. that previous
+ * slugs are read-only. Each is called with a resource and returns its
+ * rules in the same form as `setFieldRules()`.
+ */
+
+exports.implied_rules = []
+
+/**
+ * Get the visibility rules for each attribute of a resource.
+ *
+ * @param {string} resource
+ * @return {object} rules - attribute => { readonly: true, .. }
+ * @api public
+ */
+
+exports.getFieldRules = function (resource) {
+    var rules = {}
+      , schema = exports.mongoose.modelSchemas[resource]
+      , registered = field_rules[resource] || {}
+
+    exports.getAttributes(resource).forEach(function (attr) {
+        var path = schema.path(attr)
+          , options = path && path.options || {}
+        exports.rules.forEach(function (rule) {
+            if (options[rule] || (registered[attr] && ~registered[attr].indexOf(rule))) {
+                rules[attr] = rules[attr] || {}
+                rules[attr][rule] = true
+            }
+        })
+    })
+
+    exports.implied_rules.forEach(function (implied) {
+        var implies = implied(resource) || {}, attr
+        for (attr in implies) {
+            [].concat(implies[attr]).forEach(function (rule) {
+                rules[attr] = rules[attr] || {}
+                rules[attr][rule] = true
+            })
         }
+    })
+
+    //Documents are only deleted and restored through their routes
+    if (exports.isSoftDeletable(resource)) {
+        rules[exports.deleted_at] = rules[exports.deleted_at] || {}
+        rules[exports.deleted_at].readonly = true
     }
 
-    return arr
+    return rules
 }
 
 /**
- * Get model attributes that are DBRefs.
+ * Check whether a user can read an attribute.
  *
- * @return {string} resource
+ * @param {string} resource
+ * @param {string} attr
+ * @param {object} user
+ * @return {boolean} readable
  * @api public
  */
 
-exports.getDbrefAttributes = function (resource) {
-    var arr = []
-      , schemas = exports.mongoose.modelSchemas
-      , tree = schemas[resource].tree
+exports.isReadable = function (resource, attr, user) {
+    return readable(exports.getFieldRules(resource)[attr], user)
+}
+
+/**
+ * Check whether an attribute's rules let a user read it.
+ *
+ * @param {object} rules - see `getFieldRules()`
+ * @param {object} user
+ * @return {boolean} readable
+ * @api private
+ */
 
-    for (var attr in tree) {
-        if (typeof tree[attr] === 'object' && tree[attr].ref) {
-            arr.push(attr)
+function readable (rules, user) {
+    return !rules || !rules.hidden && !rules.writeonly
+                  && (!rules.adminOnly || exports.isAdmin(user))
+}
+
+/**
+ * Check whether a user can write an attribute. Attributes that aren't
+ * defined on the schema are never writable.
+ *
+ * @param {string} resource
+ * @param {string} attr
+ * @param {object} user
+ * @return {boolean} writable
+ * @api public
+ */
+
+exports.isWritable = function (resource, attr, user) {
+    return writable(resource, exports.getFieldRules(resource)[attr], attr, user)
+}
+
+/**
+ * Check whether an attribute's rules let a user write it.
+ *
+ * @param {string} resource
+ * @param {object} rules - see `getFieldRules()`
+ * @param {string} attr
+ * @param {object} user
+ * @return {boolean} writable
+ * @api private
+ */
+
+function writable (resource, rules, attr, user) {
+    if (!~exports.getAttributes(resource).indexOf(attr)) {
+        return false
+    }
+    return !rules || !rules.hidden && !rules.readonly
+                  && (!rules.adminOnly || exports.isAdmin(user))
+}
+
+/**
+ * Remove the attributes a user can't read from a JSON safe instance,
+ * including those of embedded documents and populated DBRefs, which are
+ * filtered by the rules of the resource they refer to.
+ *
+ * @param {string} resource
+ * @param {object} obj
+ * @param {object} user
+ * @return {object} obj
+ * @api public
+ */
+
+exports.filterReadable = function (resource, obj, user) {
+    if (!obj || typeof obj !== 'object') {
+        return obj
+    }
+
+    var rules = exports.getFieldRules(resource)
+      , paths = exports.describe(resource)
+
+    exports.getAttributes(resource).forEach(function (attr) {
+        var ref = paths[attr] && paths[attr].ref
+        if (!readable(rules[attr], user)) {
+            delete obj[attr]
+        } else if (ref && obj[attr] && ref in exports.mongoose.modelSchemas) {
+            [].concat(obj[attr]).forEach(function (populated) {
+                if (populated && typeof populated === 'object'
+                        && typeof populated.toHexString !== 'function') {
+                    exports.filterReadable(ref, populated, user)
+                }
+            })
+        }
+    })
+
+    exports.getChildren(resource).forEach(function (child) {
+        if (Array.isArray(obj[child.attribute])) {
+            obj[child.attribute].forEach(function (instance) {
+                exports.filterReadable(child.resource, instance, user)
+            })
+        }
+    })
+
+    return obj
+}
+
+/**
+ * Remove the attributes a user can't write from a request body.
+ *
+ * @param {string} resource
+ * @param {object} body
+ * @param {object} user
+ * @return {object} body
+ * @api public
+ */
+
+exports.filterWritable = function (resource, body, user) {
+    var rules = exports.getFieldRules(resource)
+    for (var attr in body) {
+        if (!writable(resource, rules[attr], attr, user)) {
+            delete body[attr]
         }
     }
+    return body
+}
 
-    return arr
+/**
+ * The path that marks a document as deleted. Resources opt in to soft
+ * deletes by defining it on their schema, e.g. `deletedAt: Date`.
+ */
+
+exports.deleted_at = 'deletedAt'
+
+/**
+ * Check whether a resource is soft deleted.
+ *
+ * @param {string} resource
+ * @return {boolean} soft_deletable
+ * @api public
+ */
+
+exports.isSoftDeletable = function (resource) {
+    return !!exports.mongoose.modelSchemas[resource].path(exports.deleted_at)
 }
 
+/**
+ * Check whether an instance has been soft deleted.
+ *
+ * @param {Document|object} instance
+ * @return {boolean} deleted
+ * @api public
+ */
+
+exports.isDeleted = function (instance) {
+    var deleted = instance.get ? instance.get(exports.deleted_at)
+                               : instance[exports.deleted_at]
+    return deleted !== null && typeof deleted !== 'undefined'
+}
+
+/**
+ * Remove soft deleted embedded documents from a JSON safe instance.
+ *
+ * @param {string} resource
+ * @param {object} obj
+ * @return {object} obj
+ * @api public
+ */
+
+exports.filterDeleted = function (resource, obj) {
+    if (!obj || typeof obj !== 'object') {
+        return obj
+    }
+
+    exports.getChildren(resource).forEach(function (child) {
+        if (!Array.isArray(obj[child.attribute])) {
+            return
+        }
+        if (exports.isSoftDeletable(child.resource)) {
+            obj[child.attribute] = obj[child.attribute].filter(function (instance) {
+                return !exports.isDeleted(instance)
+            })
+        }
+        obj[child.attribute].forEach(function (instance) {
+            exports.filterDeleted(child.resource, instance)
+        })
+    })
+
+    return obj
+}
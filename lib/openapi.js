@@ -0,0 +1,599 @@
+/*!
+ * Chris O'Hara
+ * Copyright(c) 2011 Chris O'Hara <cohara87@gmail.com>
+ * MIT Licensed
+ */
+
+/**
+ * Module dependencies.
+ */
+
+var models = require('./models')
+  , rest = require('./rest')
+  , patch = require('./patch')
+  , slugs = require('./slugs')
+  , fs = require('fs')
+  , lingo = require('lingo').en
+
+/**
+ * The route the document is served at by `serve()`.
+ */
+
+exports.path = '/openapi.json'
+
+/**
+ * The default document info.
+ */
+
+exports.info = { title: 'API', version: '1.0.0' }
+
+/**
+ * Map mongoose types to JSON schemas.
+ */
+
+var types = {
+    String   : { type: 'string' }
+  , Number   : { type: 'number' }
+  , Boolean  : { type: 'boolean' }
+  , Date     : { type: 'string', format: 'date-time' }
+  , ObjectID : { type: 'string', pattern: '^[0-9a-f]{24}$' }
+  , ObjectId : { type: 'string', pattern: '^[0-9a-f]{24}$' }
+  , Buffer   : { type: 'string', format: 'binary' }
+  , Mixed    : {}
+}
+
+/**
+ * Get a reference to a component.
+ *
+ * @param {string} type - e.g. schemas
+ * @param {string} name
+ * @return {object} ref
+ * @api private
+ */
+
+function ref (type, name) {
+    return { $ref: '#/components/' + type + '/' + name }
+}
+
+/**
+ * Copy an object.
+ *
+ * @param {object} obj
+ * @return {object} copy
+ * @api private
+ */
+
+function copy (obj) {
+    var result = {}
+    for (var key in obj) {
+        result[key] = obj[key]
+    }
+    return result
+}
+
+/**
+ * Get the JSON schema of a path.
+ *
+ * @param {object} path - see `models.describe()`
+ * @return {object} schema
+ * @api private
+ */
+
+function pathSchema (path) {
+    var schema
+
+    if (path.type === 'Embedded') {
+        return { type: 'array', items: ref('schemas', path.resource) }
+    }
+
+    schema = copy(types[path.type] || types.Mixed)
+    if (path['enum']) {
+        schema['enum'] = path['enum']
+    }
+    if (typeof path.min === 'number') {
+        schema.minimum = path.min
+    }
+    if (typeof path.max === 'number') {
+        schema.maximum = path.max
+    }
+    if (path.match) {
+        schema.pattern = path.match.source
+    }
+
+    //DBRefs are sent as IDs unless they're populated
+    if (path.ref) {
+        schema.description = 'The ID of a ' + path.ref
+    }
+
+    if (path.array) {
+        schema = { type: 'array', items: schema }
+    }
+    if (typeof path['default'] !== 'undefined' && typeof path['default'] !== 'function') {
+        schema['default'] = path['default']
+    }
+
+    return schema
+}
+
+/**
+ * Get the JSON schema of an object made of the paths below a prefix,
+ * which is a resource or a nested object of one. Partial schemas, e.g.
+ * for merge patches, don't require any attributes.
+ *
+ * @param {string} resource
+ * @param {string} prefix - e.g. "" or "meta."
+ * @param {boolean} partial (optional)
+ * @return {object} schema
+ * @api private
+ */
+
+function objectSchema (resource, prefix, partial) {
+    var paths = models.describe(resource)
+      , rules = models.getFieldRules(resource)
+      , json = { type: 'object', properties: {} }
+      , required = []
+      , names = []
+
+    //Direct children, nested objects are only listed by their full paths
+    Object.keys(paths).forEach(function (path) {
+        if (path.indexOf(prefix) === 0) {
+            var name = path.substr(prefix.length).split('.')[0]
+            if (!~names.indexOf(name)) {
+                names.push(name)
+            }
+        }
+    })
+
+    names.forEach(function (name) {
+        var attr = prefix + name
+          , path = paths[attr]
+          , rule = rules[attr] || {}
+          , property
+
+        if (rule.hidden) {
+            return
+        } else if (!path) {
+            property = objectSchema(resource, attr + '.', partial)
+        } else {
+            property = pathSchema(path)
+            if (path.required && !partial) {
+                required.push(name === '_id' ? 'id' : name)
+            }
+        }
+
+        if (rule.readonly || attr === '_id' || attr === rest.version_key) {
+            property.readOnly = true
+        }
+        if (rule.writeonly) {
+            property.writeOnly = true
+        }
+        if (rule.adminOnly) {
+            property.description = 'Only available to admins.'
+        }
+
+        json.properties[name === '_id' ? 'id' : name] = property
+    })
+
+    if (required.length) {
+        json.required = required
+    }
+
+    return json
+}
+
+/**
+ * Get the path parameters of a route.
+ *
+ * @param {object} route - see `rest.routeTable()`
+ * @return {array} parameters
+ * @api private
+ */
+
+function pathParameters (route) {
+    var resources = route.ancestors.concat(route.resource)
+      , params = []
+      , match
+      , pattern = /:(\w+)/g
+
+    while (match = pattern.exec(route.path)) {
+        if (match[1] === 'format') {
+            continue
+        }
+        var name = match[1]
+          , resource = resources.filter(function (resource) {
+                return lingo.singularize(resource) === name
+                    || lingo.singularize(resource).toLowerCase() === name
+            })[0]
+          , description = 'The history entry ID.'
+
+        if (resource) {
+            description = 'The ' + resource + ' ID'
+                        + (slugs.source(resource) ? ' or slug.' : '.')
+        }
+        params.push({
+            name        : name
+          , 'in'        : 'path'
+          , required    : true
+          , description : description
+          , schema      : { type: 'string' }
+        })
+    }
+
+    return params
+}
+
+/**
+ * Build a query parameter.
+ *
+ * @param {string} name
+ * @param {string} description
+ * @param {object} schema
+ * @return {object} parameter
+ * @api private
+ */
+
+function query (name, description, schema) {
+    return {
+        name        : name
+      , 'in'        : 'query'
+      , description : description
+      , schema      : schema || { type: 'string' }
+    }
+}
+
+/**
+ * Query parameters that page a list.
+ */
+
+var paging = [
+    query('page', 'The page to return.', { type: 'integer', minimum: 1 })
+  , query('limit', 'The number of results per page.', { type: 'integer', minimum: 1 })
+]
+
+/**
+ * Query parameters that filter and sort a list.
+ */
+
+var where = query('where', 'Filter by attribute, e.g. where[title][regex]=foo.',
+                  { type: 'object' })
+
+where.style = 'deepObject'
+
+var listing = paging.concat([
+    where
+  , query('order', 'The attribute to sort by.')
+  , query('desc', 'Sort in descending order.', { type: 'boolean' })
+  , query('envelope', 'Wrap the results in an object with paging metadata.',
+          { type: 'boolean' })
+])
+
+/**
+ * Build the operation for a route.
+ *
+ * @param {object} route - see `rest.routeTable()`
+ * @return {object} operation
+ * @api private
+ */
+
+function operation (route) {
+    var resource = route.resource
+      , embedded = route.ancestors.length > 0
+      , schema = ref('schemas', resource)
+      , list = { type: 'array', items: schema }
+      , op = {
+            operationId : route.ancestors.concat(resource, route.action).join('.')
+          , tags        : [route.ancestors[0] || resource]
+          , parameters  : pathParameters(route)
+          , responses   : {}
+        }
+
+    function respond (status, description, body, headers) {
+        var response = { description: description }
+        if (body) {
+            response.content = { 'application/json': { schema: body } }
+        }
+        if (headers) {
+            response.headers = headers
+        }
+        op.responses[status] = response
+    }
+
+    function accept (body, type) {
+        op.requestBody = op.requestBody || { required: true, content: {} }
+        op.requestBody.content[type || 'application/json'] = { schema: body }
+    }
+
+    function conditional () {
+        op.parameters.push({ name: 'If-Match', 'in': 'header', schema: { type: 'string' } })
+        op.responses['412'] = ref('responses', 'PreconditionFailed')
+    }
+
+    var page = {
+        'X-Total-Count' : { schema: { type: 'integer' } }
+      , 'Link'          : { schema: { type: 'string' } }
+    }
+
+    switch (route.action) {
+    case 'index':
+    case 'trash':
+        op.summary = route.action === 'trash' ? 'List deleted ' + lingo.pluralize(resource)
+                                              : 'List ' + lingo.pluralize(resource)
+        op.parameters = op.parameters.concat(listing)
+        if (!embedded) {
+            op.parameters.push(
+                query('after', 'Return the results after this ID, instead of a page.')
+              , query('fields', 'The attributes to return, comma separated.')
+              , query('populate', 'The DBRefs to populate, comma separated.'))
+        }
+        respond(200, 'The ' + lingo.pluralize(resource), list, page)
+        op.responses['304'] = ref('responses', 'NotModified')
+        break
+    case 'create':
+        op.summary = 'Create a ' + resource
+        accept(schema)
+        respond(200, 'The created ' + resource, schema)
+        op.responses['422'] = ref('responses', 'Invalid')
+        break
+    case 'show':
+        op.summary = 'Get a ' + resource
+        respond(200, 'The ' + resource, schema)
+        op.responses['304'] = ref('responses', 'NotModified')
+        break
+    case 'update':
+        op.summary = 'Replace a ' + resource
+        accept(schema)
+        respond(200, 'The updated ' + resource, embedded ? null : schema)
+        op.responses['422'] = ref('responses', 'Invalid')
+        conditional()
+        break
+    case 'patch':
+        op.summary = 'Update part of a ' + resource
+        accept(ref('schemas', resource + 'Patch'), patch.MERGE_PATCH)
+        accept(ref('schemas', 'JSONPatch'), patch.JSON_PATCH)
+        respond(200, 'The updated ' + resource, schema)
+        op.responses['422'] = ref('responses', 'Invalid')
+        conditional()
+        break
+    case 'destroy':
+        op.summary = 'Delete a ' + resource
+        respond(200, 'The ' + resource + ' was deleted')
+        conditional()
+        break
+    case 'restore':
+        op.summary = 'Restore a deleted ' + resource
+        respond(200, 'The restored ' + resource, embedded ? null : schema)
+        break
+    case 'purge':
+        op.summary = 'Permanently delete a ' + resource
+        respond(200, 'The ' + resource + ' was deleted')
+        break
+    case 'history':
+        op.summary = 'List the changes made to a ' + resource
+        op.parameters = op.parameters.concat(paging)
+        respond(200, 'The changes, most recent first',
+                { type: 'array', items: ref('schemas', 'HistoryEntry') }, page)
+        break
+    case 'revert':
+        op.summary = 'Revert a ' + resource + ' to a previous version'
+        respond(200, 'The reverted ' + resource, schema)
+        break
+    case 'move':
+        op.summary = 'Move a ' + resource + ' to another position or parent'
+        accept(ref('schemas', 'Move'))
+        respond(200, 'The moved ' + resource, schema)
+        op.responses['409'] = ref('responses', 'Conflict')
+        conditional()
+        break
+    case 'bulk':
+        op.summary = 'Create, update and delete ' + lingo.pluralize(resource)
+        accept(ref('schemas', 'Bulk'))
+        respond(200, 'The result of each operation', ref('schemas', 'BulkResults'))
+        break
+    }
+
+    op.responses['400'] = ref('responses', 'BadRequest')
+    op.responses['403'] = ref('responses', 'Forbidden')
+    if (op.parameters.some(function (param) { return param['in'] === 'path' })) {
+        op.responses['404'] = ref('responses', 'NotFound')
+    }
+
+    return op
+}
+
+/**
+ * Build the shared schemas and responses.
+ *
+ * @return {object} components
+ * @api private
+ */
+
+function components () {
+    var error = ref('schemas', 'Error')
+      , result = {
+            schemas   : {}
+          , responses : {}
+        }
+
+    function response (name, description, body) {
+        result.responses[name] = { description: description }
+        if (body) {
+            result.responses[name].content = { 'application/json': { schema: body } }
+        }
+    }
+
+    Object.keys(models.mongoose.modelSchemas).forEach(function (resource) {
+        result.schemas[resource] = objectSchema(resource, '')
+        result.schemas[resource + 'Patch'] = objectSchema(resource, '', true)
+    })
+
+    result.schemas.Error = {
+        type       : 'object'
+      , properties : { error: {
+            type       : 'object'
+          , properties : {
+                status  : { type: 'integer' }
+              , message : { type: 'string' }
+              , fields  : {
+                    type                 : 'object'
+                  , description          : 'Errors keyed by the attribute they\'re for.'
+                  , additionalProperties : {
+                        type       : 'object'
+                      , properties : {
+                            type    : { type: 'string' }
+                          , message : { type: 'string' }
+                        }
+                    }
+                }
+            }
+        }}
+    }
+    result.schemas.JSONPatch = {
+        type  : 'array'
+      , items : {
+            type       : 'object'
+          , required   : ['op', 'path']
+          , properties : {
+                op    : { type: 'string',
+                          'enum': ['add', 'remove', 'replace', 'move', 'copy', 'test'] }
+              , path  : { type: 'string' }
+              , from  : { type: 'string' }
+              , value : {}
+            }
+        }
+    }
+    result.schemas.Move = {
+        type       : 'object'
+      , properties : {
+            to     : { type: 'integer', minimum: 0, description: 'The new position.' }
+          , parent : { type: 'string', description: 'The ID of the new parent.' }
+        }
+    }
+    result.schemas.Bulk = {
+        type       : 'object'
+      , required   : ['operations']
+      , properties : {
+            mode       : { type: 'string', 'enum': ['atomic'],
+                           description: 'Check every operation before applying any, and'
+                                      + ' undo those applied if one still fails. Undoing'
+                                      + ' is best-effort, not a transaction.' }
+          , operations : {
+                type     : 'array'
+              , maxItems : rest.max_bulk
+              , items    : {
+                    type       : 'object'
+                  , required   : ['op']
+                  , properties : {
+                        op   : { type: 'string', 'enum': ['create', 'update', 'delete'] }
+                      , id   : { type: 'string' }
+                      , data : { type: 'object' }
+                    }
+                }
+            }
+        }
+    }
+    result.schemas.BulkResults = {
+        type       : 'object'
+      , properties : { results: {
+            type  : 'array'
+          , items : {
+                type       : 'object'
+              , properties : {
+                    op     : { type: 'string' }
+                  , status : { type: 'integer' }
+                  , id     : { type: 'string' }
+                  , data   : { type: 'object' }
+                  , error  : result.schemas.Error.properties.error
+                }
+            }
+        }}
+    }
+    result.schemas.HistoryEntry = {
+        type       : 'object'
+      , properties : {
+            id       : { type: 'string' }
+          , action   : { type: 'string' }
+          , embedded : { type: 'object', nullable: true }
+          , user     : { type: 'string', nullable: true }
+          , at       : types.Date
+          , changes  : { type: 'array', items: {
+                type       : 'object'
+              , properties : { path: { type: 'string' }, from: {}, to: {} }
+            }}
+          , snapshot : { type: 'object' }
+        }
+    }
+
+    response('NotModified', 'The client\'s copy is current')
+    response('BadRequest', 'The request is invalid', error)
+    response('Forbidden', 'The user isn\'t allowed to do this', error)
+    response('NotFound', 'The resource doesn\'t exist', error)
+    response('Conflict', 'The resource was changed by another request', error)
+    response('PreconditionFailed', 'The resource has been modified', error)
+    response('Invalid', 'The resource is invalid', error)
+
+    return result
+}
+
+/**
+ * Generate an OpenAPI 3 document for the RESTful routes.
+ *
+ * Options:
+ *
+ *   - info: the document info, defaults to `exports.info`
+ *   - servers: the servers the API is available at
+ *   - and those of `rest.mount()`, which choose the routes documented
+ *
+ * @param {object} options (optional)
+ * @return {object} document
+ * @api public
+ */
+
+exports.generate = function (options) {
+    options = options || {}
+
+    var doc = {
+        openapi    : '3.0.3'
+      , info       : options.info || exports.info
+      , paths      : {}
+      , components : components()
+    }
+
+    if (options.servers) {
+        doc.servers = options.servers
+    }
+
+    rest.routeTable(options).forEach(function (route) {
+        var path = route.path.replace(/\.:format\?$/, '').replace(/:(\w+)/g, '{$1}')
+        doc.paths[path] = doc.paths[path] || {}
+        doc.paths[path][route.method.toLowerCase()] = operation(route)
+    })
+
+    return doc
+}
+
+/**
+ * Generate an OpenAPI document and write it to a file.
+ *
+ * @param {string} file
+ * @param {object} options (optional) - see `generate()`
+ * @api public
+ */
+
+exports.generateFile = function (file, options) {
+    fs.writeFileSync(file, JSON.stringify(exports.generate(options), null, 2))
+}
+
+/**
+ * Serve the OpenAPI document, at `options.path` or `exports.path`.
+ *
+ * @param {HTTPServer} app
+ * @param {object} options (optional) - see `generate()`
+ * @api public
+ */
+
+exports.serve = function (app, options) {
+    options = options || {}
+    app.get(options.path || exports.path, function (request, response) {
+        response.send(exports.generate(options))
+    })
+}
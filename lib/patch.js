@@ -0,0 +1,529 @@
+/*!
+ * Chris O'Hara
+ * Copyright(c) 2011 Chris O'Hara <cohara87@gmail.com>
+ * MIT Licensed
+ */
+
+/**
+ * Module dependencies.
+ */
+
+var models = require('./models')
+
+/**
+ * Supported patch media types.
+ */
+
+exports.MERGE_PATCH = 'application/merge-patch+json'
+exports.JSON_PATCH = 'application/json-patch+json'
+
+/**
+ * Raised when a patch can't be applied. `status` is the HTTP status
+ * code to respond with.
+ *
+ * @param {string} message
+ * @param {number} status (optional)
+ * @api public
+ */
+
+function PatchError (message, status) {
+    Error.call(this)
+    Error.captureStackTrace(this, arguments.callee)
+    this.name = 'PatchError'
+    this.message = message
+    this.status = status || 400
+}
+
+PatchError.prototype.__proto__ = Error.prototype
+
+exports.PatchError = PatchError
+
+/**
+ * Parse request bodies with a patch media type as JSON. Body parsers
+ * generally only handle `application/json`, so this should be used
+ * before them, e.g. `app.use(patch.bodyParser())`.
+ *
+ * @return {function} middleware
+ * @api public
+ */
+
+exports.bodyParser = function () {
+    return function (request, response, next) {
+        var type = mediaType(request)
+          , data = ''
+
+        if (request.body || (type !== exports.MERGE_PATCH
+                          && type !== exports.JSON_PATCH)) {
+            return next()
+        }
+
+        request.setEncoding('utf8')
+        request.on('data', function (chunk) {
+            data += chunk
+        })
+        request.on('end', function () {
+            try {
+                request.body = data ? JSON.parse(data) : {}
+            } catch (err) {
+                err.status = 400
+                return next(err)
+            }
+            next()
+        })
+    }
+}
+
+/**
+ * Get the request's media type without parameters.
+ *
+ * @param {IncomingMessage} request
+ * @return {string} type
+ * @api private
+ */
+
+function mediaType (request) {
+    return (request.headers['content-type'] || '').split(';')[0].trim()
+                                                  .toLowerCase()
+}
+
+/**
+ * Check that the first segment of a path is a schema attribute the user
+ * can read, and if the path is being written, that they can write it.
+ * The ID can't be written.
+ *
+ * @param {string} resource
+ * @param {array} segments
+ * @param {object} user
+ * @param {boolean} write
+ * @api private
+ */
+
+function checkPath (resource, segments, user, write) {
+    var attr = segments[0]
+      , readable = models.isReadable(resource, attr, user)
+
+    if (!~models.getAttributes(resource).indexOf(attr)
+            || (write ? !models.isWritable(resource, attr, user) && !readable
+                      : !readable)) {
+        throw new PatchError('Unknown attribute "' + segments.join('/') + '"', 422)
+    } else if (write && (attr === '_id' || attr === 'id'
+                      || !models.isWritable(resource, attr, user))) {
+        throw new PatchError('"' + attr + '" is read-only', 422)
+    }
+}
+
+/**
+ * Split a JSON pointer, e.g. "/comments/2/body", into its segments.
+ *
+ * @param {string} pointer
+ * @return {array} segments
+ * @api private
+ */
+
+function parsePointer (pointer) {
+    if (typeof pointer !== 'string' || pointer.charAt(0) !== '/') {
+        throw new PatchError('Invalid path "' + pointer + '"')
+    }
+    return pointer.substr(1).split('/').map(function (segment) {
+        return segment.replace(/~1/g, '/').replace(/~0/g, '~')
+    })
+}
+
+/**
+ * Get the value at a path in a plain object.
+ *
+ * @param {object} obj
+ * @param {array} segments
+ * @return {mixed} value
+ * @api private
+ */
+
+function valueAt (obj, segments) {
+    for (var i = 0, l = segments.length; i < l; i++) {
+        if (obj === null || typeof obj !== 'object' || !(segments[i] in obj)) {
+            return undefined
+        }
+        obj = obj[segments[i]]
+    }
+    return obj
+}
+
+/**
+ * Deep equality for JSON values.
+ *
+ * @param {mixed} a
+ * @param {mixed} b
+ * @return {boolean} equal
+ * @api private
+ */
+
+function equal (a, b) {
+    return JSON.stringify(a) === JSON.stringify(b)
+}
+
+/**
+ * Check whether a value is a JSON object, rather than an array, date or ID.
+ *
+ * @param {mixed} value
+ * @return {boolean} is_object
+ * @api private
+ */
+
+function isObject (value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value)
+        && !(value instanceof Date) && typeof value.toHexString !== 'function'
+}
+
+/**
+ * Replace populated DBRefs with their IDs.
+ *
+ * @param {mixed} value
+ * @return {mixed} value
+ * @api private
+ */
+
+function depopulate (value) {
+    if (Array.isArray(value)) {
+        return value.map(depopulate)
+    }
+    return isObject(value) && '_id' in value ? value._id : value
+}
+
+/**
+ * Get a plain copy of an instance for a patch to be applied to, with any
+ * populated DBRefs replaced by their IDs.
+ *
+ * @param {string} resource
+ * @param {Document} instance
+ * @return {object} snapshot
+ * @api public
+ */
+
+exports.snapshot = function (resource, instance) {
+    var snapshot = instance.toObject()
+    models.getDbrefAttributes(resource).forEach(function (attr) {
+        if (attr in snapshot) {
+            snapshot[attr] = depopulate(snapshot[attr])
+        }
+    })
+    return snapshot
+}
+
+/**
+ * Merge a JSON Merge Patch into a value. Objects are merged key by key,
+ * null removes a key and anything else, including arrays, replaces it.
+ *
+ * @param {mixed} target
+ * @param {mixed} patch
+ * @return {mixed} merged
+ * @api private
+ */
+
+function merge (target, patch) {
+    if (!isObject(patch)) {
+        return patch
+    } else if (!isObject(target)) {
+        target = {}
+    }
+    for (var key in patch) {
+        if (patch[key] === null) {
+            delete target[key]
+        } else {
+            target[key] = merge(target[key], patch[key])
+        }
+    }
+    return target
+}
+
+/**
+ * Apply a JSON Merge Patch (RFC 7396) to a snapshot.
+ *
+ * @param {string} resource
+ * @param {object} current
+ * @param {object} patch
+ * @param {object} user
+ * @return {array} attributes - the attributes that were patched
+ * @api private
+ */
+
+function applyMergePatch (resource, current, patch, user) {
+    if (!isObject(patch)) {
+        throw new PatchError('A merge patch must be an object')
+    }
+    Object.keys(patch).forEach(function (attr) {
+        checkPath(resource, [attr], user, true)
+    })
+    merge(current, patch)
+    return Object.keys(patch)
+}
+
+/**
+ * Apply a JSON Patch (RFC 6902) to a snapshot. Operations are applied in
+ * order and if any of them fails, none of them are.
+ *
+ * @param {string} resource
+ * @param {object} current
+ * @param {array} operations
+ * @param {object} user
+ * @return {array} attributes - the attributes that were patched
+ * @api private
+ */
+
+function applyJsonPatch (resource, current, operations, user) {
+    var attributes = []
+
+    if (!Array.isArray(operations)) {
+        throw new PatchError('A JSON patch must be an array of operations')
+    }
+
+    function add (segments, value) {
+        var last = segments[segments.length - 1]
+          , parent = valueAt(current, segments.slice(0, -1))
+          , index = parseInt(last, 10)
+
+        if (Array.isArray(parent) && last === '-') {
+            parent.push(value)
+        } else if (Array.isArray(parent) && /^\d+$/.test(last) && index <= parent.length) {
+            parent.splice(index, 0, value)
+        } else if (Array.isArray(parent) || !isObject(parent)) {
+            throw new PatchError('Cannot add to "' + segments.join('/') + '"', 422)
+        } else {
+            parent[last] = value
+        }
+    }
+
+    function remove (segments) {
+        var last = segments[segments.length - 1]
+          , parent = valueAt(current, segments.slice(0, -1))
+
+        if (typeof valueAt(current, segments) === 'undefined') {
+            throw new PatchError('"' + segments.join('/') + '" does not exist', 422)
+        } else if (Array.isArray(parent)) {
+            parent.splice(parseInt(last, 10), 1)
+        } else {
+            delete parent[last]
+        }
+    }
+
+    operations.forEach(function (operation) {
+        if (!operation || typeof operation !== 'object') {
+            throw new PatchError('Invalid operation')
+        }
+
+        var segments = parsePointer(operation.path)
+          , from
+          , value
+
+        checkPath(resource, segments, user, operation.op !== 'test')
+
+        if (~['move', 'copy'].indexOf(operation.op)) {
+            from = parsePointer(operation.from)
+            checkPath(resource, from, user, operation.op === 'move')
+            if (typeof valueAt(current, from) === 'undefined') {
+                throw new PatchError('"' + operation.from + '" does not exist', 422)
+            }
+        } else if (operation.op !== 'remove' && !('value' in operation)) {
+            throw new PatchError('Missing value for "' + operation.op + '"')
+        }
+
+        switch (operation.op) {
+        case 'add':
+            add(segments, operation.value)
+            break
+        case 'remove':
+            remove(segments)
+            break
+        case 'replace':
+            remove(segments)
+            add(segments, operation.value)
+            break
+        case 'test':
+            if (!equal(valueAt(current, segments), operation.value)) {
+                throw new PatchError('Test failed for "' + operation.path + '"', 409)
+            }
+            return
+        case 'copy':
+            add(segments, JSON.parse(JSON.stringify(valueAt(current, from))))
+            break
+        case 'move':
+            value = valueAt(current, from)
+            remove(from)
+            add(segments, value)
+            attributes.push(from[0])
+            break
+        default:
+            throw new PatchError('Unknown operation "' + operation.op + '"')
+        }
+
+        attributes.push(segments[0])
+    })
+
+    return attributes
+}
+
+/**
+ * Apply a patch request body to an instance. The patch is applied to a
+ * snapshot of the instance first, so a patch that fails leaves it as it
+ * was, and then the attributes it changes are set on the instance. Merge
+ * patches are expected as `application/merge-patch+json` or
+ * `application/json`, JSON patches as `application/json-patch+json`.
+ *
+ * The instance should then be validated and written with `update()`.
+ *
+ * @param {string} resource
+ * @param {Document} instance
+ * @param {IncomingMessage} request
+ * @throws {PatchError}
+ * @api public
+ */
+
+exports.apply = function (resource, instance, request) {
+    var type = mediaType(request)
+      , current = exports.snapshot(resource, instance)
+      , attributes
+
+    if (type === exports.JSON_PATCH) {
+        attributes = applyJsonPatch(resource, current, request.body, request.user)
+    } else if (type === exports.MERGE_PATCH || type === 'application/json') {
+        attributes = applyMergePatch(resource, current, request.body, request.user)
+    } else {
+        throw new PatchError('Unsupported patch type "' + type + '"', 415)
+    }
+
+    attributes.forEach(function (attr) {
+        instance[attr] = current[attr]
+    })
+}
+
+/**
+ * Get the top-level values a patch request body sets, e.g. for hooks that
+ * react to an attribute changing.
+ *
+ * @param {IncomingMessage} request
+ * @param {object|array} body
+ * @return {object} values
+ * @api public
+ */
+
+exports.values = function (request, body) {
+    var values = {}
+
+    if (mediaType(request) !== exports.JSON_PATCH) {
+        for (var attr in body) {
+            if (body[attr] !== null) {
+                values[attr] = body[attr]
+            }
+        }
+    } else if (Array.isArray(body)) {
+        body.forEach(function (operation) {
+            if (operation && ~['add', 'replace'].indexOf(operation.op)
+                    && /^\/[^\/]+$/.test(operation.path)) {
+                values[parsePointer(operation.path)[0]] = operation.value
+            }
+        })
+    }
+
+    return values
+}
+
+/**
+ * Get the elements removed from an array, if all that changed is that
+ * they were removed and they can be pulled without pulling any others,
+ * i.e. they're embedded documents with IDs or values that aren't left in
+ * the array. Returns null otherwise.
+ *
+ * @param {array} before
+ * @param {array} after
+ * @return {array} removed
+ * @api private
+ */
+
+function pulled (before, after) {
+    var i = 0, removed = []
+
+    before.forEach(function (value) {
+        if (i < after.length && equal(value, after[i])) {
+            i++
+        } else {
+            removed.push(value)
+        }
+    })
+
+    if (i < after.length || !removed.length) {
+        return null
+    }
+    return removed.every(function (value) {
+        return isObject(value) ? '_id' in value : !after.some(function (left) {
+            return equal(value, left)
+        })
+    }) ? removed : null
+}
+
+/**
+ * Build the single update that writes the changes made to an instance
+ * since a snapshot was taken. Changed attributes are $set, or $unset if
+ * they were removed. Arrays that were only appended to are pushed to and
+ * arrays that only had elements removed are pulled from, embedded
+ * documents by their ID, so that concurrent changes to them aren't lost.
+ * Other changes to arrays, e.g. to an element at a position, $set the
+ * whole array and add a condition that it's unchanged to `conditions`.
+ *
+ * @param {string} resource
+ * @param {object} snapshot - see `snapshot()`
+ * @param {Document} instance
+ * @param {object} conditions - the conditions the update is made with
+ * @return {object} update - empty if nothing changed
+ * @api public
+ */
+
+exports.update = function (resource, snapshot, instance, conditions) {
+    var current = exports.snapshot(resource, instance)
+      , update = {}
+
+    function op (operator, attr, value) {
+        update[operator] = update[operator] || {}
+        update[operator][attr] = value
+    }
+
+    function array (attr, before, after) {
+        var removed = pulled(before, after), ids
+
+        if (after.length > before.length && equal(before, after.slice(0, before.length))) {
+            if (after.length === before.length + 1) {
+                op('$push', attr, after[before.length])
+            } else {
+                op('$pushAll', attr, after.slice(before.length))
+            }
+        } else if (removed && isObject(removed[0])) {
+            ids = removed.map(function (value) {
+                return value._id
+            })
+            op('$pull', attr, { _id: ids.length === 1 ? ids[0] : { $in: ids } })
+        } else if (removed) {
+            if (removed.length === 1) {
+                op('$pull', attr, removed[0])
+            } else {
+                op('$pullAll', attr, removed)
+            }
+        } else {
+            op('$set', attr, after)
+            conditions[attr] = before
+        }
+    }
+
+    models.getAttributes(resource).forEach(function (attr) {
+        var before = snapshot[attr], after = current[attr]
+
+        if (attr === '_id' || equal(before, after)) {
+            return
+        } else if (typeof after === 'undefined') {
+            op('$unset', attr, 1)
+        } else if (Array.isArray(before) && Array.isArray(after)) {
+            array(attr, before, after)
+        } else {
+            op('$set', attr, after)
+        }
+    })
+
+    return update
+}
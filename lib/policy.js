@@ -0,0 +1,91 @@
+/*!
+ * Chris O'Hara
+ * Copyright(c) 2011 Chris O'Hara <cohara87@gmail.com>
+ * MIT Licensed
+ */
+
+/**
+ * Module dependencies.
+ */
+
+var models = require('./models')
+
+/**
+ * Registered policies, keyed by resource.
+ */
+
+var policies = {}
+
+/**
+ * Register an authorization policy for a resource. Models can also define
+ * a static `Model.authorize()` with the same signature, e.g.
+ *
+ *     policy.register('Post', function (user, action, instance, callback) {
+ *         if (action === 'index') {
+ *             instance.where('owner', user.id)
+ *             return callback(null, true)
+ *         }
+ *         callback(null, instance.owner == user.id || 404)
+ *     })
+ *
+ * `action` is one of index, show, create, update or destroy, for embedded
+ * documents move, for soft deleted resources trash, restore or purge, and
+ * when auditing is enabled history or revert. `instance` is the document
+ * being acted on, or for index and trash the query, which the policy can
+ * scope. The callback takes true to allow the action, false to deny it
+ * with a 403, or the status code to deny it with, e.g. 404.
+ *
+ * @param {string} resource
+ * @param {function} policy
+ * @api public
+ */
+
+exports.register = function (resource, policy) {
+    policies[resource] = policy
+}
+
+/**
+ * Get the policy for a resource, if it has one.
+ *
+ * @param {string} resource
+ * @return {function} policy
+ * @api public
+ */
+
+exports.get = function (resource) {
+    var model
+    if (policies.hasOwnProperty(resource)) {
+        return policies[resource]
+    }
+    model = models.mongoose.model(resource)
+    return typeof model.authorize === 'function' ? model.authorize.bind(model) : null
+}
+
+/**
+ * Check whether a user may perform an action. The callback receives the
+ * status code to deny the action with, or null if it's allowed.
+ *
+ * @param {string} resource
+ * @param {object} user
+ * @param {string} action
+ * @param {object} instance
+ * @param {function} callback
+ * @api public
+ */
+
+exports.check = function (resource, user, action, instance, callback) {
+    var policy = exports.get(resource)
+
+    if (!policy) {
+        return callback(null, null)
+    }
+
+    policy(user, action, instance, function (err, allowed) {
+        if (err) {
+            return callback(err)
+        } else if (allowed === true) {
+            return callback(null, null)
+        }
+        callback(null, typeof allowed === 'number' ? allowed : 403)
+    })
+}
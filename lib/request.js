@@ -21,7 +21,7 @@ var http = require('http')
 
 request.resource = function (name, resource) {
     if (arguments.length == 2) {
-        this.resources = this.resource || {}
+        this.resources = this.resources || {}
         return this.resources[name] = resource
     } else if (this.resources && name in this.resources) {
         return this.resources[name]
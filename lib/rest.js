@@ -9,6 +9,15 @@
  */
 
 var models = require('./models')
+  , filter = require('./filter')
+  , formats = require('./formats')
+  , errors = require('./errors')
+  , patch = require('./patch')
+  , policy = require('./policy')
+  , hooks = require('./hooks')
+  , audit = require('./audit')
+  , slugs = require('./slugs')
+  , crypto = require('crypto')
   , lingo = require('lingo').en
 
 /**
@@ -31,13 +40,74 @@ exports.default_limit = 20
 exports.max_limit = 1000
 
 /**
- * Convert an instance to a JSON safe object.
+ * Page embedded documents with $slice rather than loading the whole
+ * parent when there's nothing to filter or sort. Counting them uses the
+ * $size aggregation operator, which requires MongoDB 2.6 or later, so
+ * this is off by default.
  */
 
-function toJSON (resource) {
-    var json = resource.json ? resource.json() : resource.toJSON()
+exports.embedded_pushdown = false
+
+/**
+ * The maximum number of operations in a bulk request.
+ */
+
+exports.max_bulk = 1000
+
+/**
+ * Wrap index results in an envelope with pagination metadata. Clients
+ * can also request the envelope with ?envelope=1.
+ */
+
+exports.envelope = false
+
+/**
+ * The paths used to version documents for ETags. The version key is
+ * incremented by every write made through the routes, and the writes of
+ * requests with If-Match only apply if it hasn't changed since the document
+ * was loaded. The last modified date covers writes made elsewhere.
+ */
+
+exports.version_key = '__v'
+exports.updated_at = 'updatedAt'
+
+/**
+ * The version and last modified date are only set by the routes, so
+ * clients can't write them.
+ */
+
+models.implied_rules.push(function (resource) {
+    var schema = models.mongoose.modelSchemas[resource]
+      , rules = {}
+    if (schema.path(exports.version_key)) {
+        rules[exports.version_key] = 'readonly'
+    }
+    if (schema.path(exports.updated_at)) {
+        rules[exports.updated_at] = 'readonly'
+    }
+    return rules
+})
+
+/**
+ * Cache-Control headers for index and show responses, keyed by resource,
+ * e.g. { Post: 'public, max-age=60' }. "*" sets the default. Responses
+ * depend on the user's policies and field rules, so they're private by
+ * default and vary by Authorization and Cookie. Only make a resource
+ * public if every user sees the same responses.
+ */
+
+exports.cache_control = { '*': 'private' }
+
+/**
+ * Convert an instance to a JSON safe object, without the attributes
+ * the user can't read or soft deleted embedded documents.
+ */
+
+function toJSON (resource, instance, user) {
+    var json = instance.json ? instance.json() : instance.toJSON()
     fixIds(json)
-    return json
+    models.filterDeleted(resource, json)
+    return models.filterReadable(resource, json, user)
 }
 
 /**
@@ -63,453 +133,2775 @@ function fixIds (obj) {
 }
 
 /**
- * Generate RESTful routes for all models.
+ * Get the name of the format to respond with.
  *
- * @return {object} routes
- * @api public
+ * @param {IncomingMessage} request
+ * @return {string} format
+ * @api private
  */
 
-exports.routes = function () {
-    if (!exports.cached_routes) {
-        var routes = exports.cached_routes = {}
+function format (request) {
+    return request.format || 'json'
+}
 
-        //Create routes for each top level model
-        models.getTopLevel().forEach(function (resource) {
-            var plural = lingo.pluralize(resource)
-              , parent = routes[plural] = topLevelRoutes(resource)
+/**
+ * Generate an ETag for an instance from its version and last modified
+ * date. Documents without either are tagged with a hash of their contents.
+ *
+ * @param {Document} instance
+ * @return {string} etag
+ * @api private
+ */
 
-            parent.embedded = {}
+function etag (instance) {
+    var version = instance.get(exports.version_key)
+      , modified = lastModified(instance)
+      , tag = [instance.get('id'), version, modified && modified.getTime()]
 
-            //Create routes for embedded documents
-            models.getChildren(resource).forEach(function (embedded) {
-                parent.embedded[embedded.attribute] = embeddedRoutes(resource,
-                    embedded.resource, embedded.attribute)
-            })
+    if ((typeof version === 'undefined' || version === null) && !modified) {
+        tag.push(JSON.stringify(instance.toObject()))
+    }
 
-        })
+    return '"' + crypto.createHash('md5').update(tag.join(':')).digest('hex') + '"'
+}
+
+/**
+ * Check whether an If-Match or If-None-Match header matches an ETag.
+ * Weak tags only match with the weak comparison used for If-None-Match.
+ *
+ * @param {string} header
+ * @param {string} tag
+ * @param {boolean} weak
+ * @return {boolean} matches
+ * @api private
+ */
+
+function matchesETag (header, tag, weak) {
+    if (!header) {
+        return false
     }
+    return header.split(',').some(function (candidate) {
+        candidate = candidate.trim()
+        return candidate === '*' || (weak ? candidate.replace(/^W\//, '') : candidate) === tag
+    })
+}
 
-    return exports.cached_routes
+/**
+ * Check the If-Match precondition of a request that modifies an instance.
+ * Responds with a 412 and returns false if the instance has changed.
+ *
+ * @param {IncomingMessage} request
+ * @param {ServerResponse} response
+ * @param {Document} instance
+ * @return {boolean} ok
+ * @api private
+ */
+
+function checkIfMatch (request, response, instance) {
+    var header = request.headers['if-match']
+    if (header && !matchesETag(header, etag(instance), false)) {
+        errors.send(request, response, 412)
+        return false
+    }
+    return true
 }
 
 /**
- * Autoload resources when they're part of a route, e.g. /posts/:post
- * or any other route with the ":post" param will automatically load
- * the resource  - accessible via request.resource('post')
+ * Raised when an instance has been written since it was loaded by a
+ * request with If-Match.
  *
- * @param {HTTPServer} app
- * @api public
+ * @api private
  */
 
-exports.autoloadResources = function (app) {
-    models.getTopLevel().forEach(function (resource) {
-        autoloadTopLevelResource(app, resource)
+function VersionError () {
+    Error.call(this)
+    Error.captureStackTrace(this, arguments.callee)
+    this.name = 'VersionError'
+    this.message = errors.messages[412]
+}
 
-        models.getChildren(resource).forEach(function (embedded) {
-            autoloadEmbeddedResource(app, resource, embedded.resource, embedded.attribute)
-        })
-    })
+VersionError.prototype.__proto__ = Error.prototype
+
+/**
+ * Make a raw update of an instance bump its version, and set its last
+ * modified date if it has one. If the request has an If-Match header, the
+ * conditions also check that the instance hasn't been written since it
+ * was loaded.
+ *
+ * @param {IncomingMessage} request (optional)
+ * @param {Document} instance
+ * @param {object} conditions
+ * @param {object} update
+ * @api private
+ */
+
+function versioned (request, instance, conditions, update) {
+    var header = request && request.headers['if-match']
+      , version = instance.get(exports.version_key)
 
-    app.dynamicHelpers({resource: function (request, response) {
-        return request.resource
-    }})
+    if (header && header.trim() !== '*') {
+        conditions[exports.version_key] = typeof version === 'number' ? version
+                                                                      : { $exists: false }
+    }
+    update.$inc = update.$inc || {}
+    update.$inc[exports.version_key] = 1
+    if (instance.schema.path(exports.updated_at)) {
+        update.$set = update.$set || {}
+        update.$set[exports.updated_at] = new Date()
+    }
+}
+
+/**
+ * Bump the version of an instance before it's saved, failing with a
+ * VersionError if it's been written since a request with If-Match loaded
+ * it. Concurrent writes that claim the same version can't both succeed.
+ * The callback receives the previous version and last modified date, so
+ * that the claim can be released if the write fails, see `release()`.
+ *
+ * @param {IncomingMessage} request
+ * @param {Document} instance
+ * @param {function} callback
+ * @api private
+ */
 
-    app.param('format', function (request, response, next) {
-        request.format = request.params.format
-        if (request.format != 'json') {
-            return response.send(403)
+function claim (request, instance, callback) {
+    var conditions = { _id: instance._id }
+      , update = {}
+      , version = instance.get(exports.version_key)
+      , previous = { version: version, modified: instance.get(exports.updated_at) }
+
+    versioned(request, instance, conditions, update)
+    instance.collection.update(conditions, update, { safe: true }, function (err, count) {
+        if (err) {
+            return callback(err)
+        } else if (!count) {
+            return callback(new VersionError())
         }
-        next()
+        instance.setValue(exports.version_key, (version || 0) + 1)
+        if (update.$set) {
+            instance.setValue(exports.updated_at, update.$set[exports.updated_at])
+        }
+        callback(null, previous)
     })
 }
 
 /**
- * Autoload a resource when a route contains it as a parameter, e.g.
- * /posts/:post will automatically load the requested post, where :post
- * is either an ID or unique slug, e.g. /posts/my-test-post or /posts/23
+ * Put back the version and last modified date of an instance whose write
+ * failed after it was claimed, so that they only change when it does. The
+ * write's error is the one to respond with, so if this fails as well the
+ * instance just keeps a version it didn't need.
  *
- * @param {HTTPServer} app
- * @param {string} resource
+ * @param {Document} instance
+ * @param {object} previous - see `claim()`
+ * @param {function} callback
  * @api private
  */
 
-function autoloadTopLevelResource (app, resource) {
-    var model = models.mongoose.model(resource)
-      , singular = lingo.singularize(resource)
-      , dbrefs = models.getDbrefAttributes(resource)
+function release (instance, previous, callback) {
+    var conditions = { _id: instance._id }
+      , update = {}
+      , modified = !!instance.schema.path(exports.updated_at)
 
-    paramName = singular.toLowerCase();
-    app.param(paramName, function (request, response, next) {
-        var id = request.params[paramName]
-          , query
+    function op (operator, attr, value) {
+        update[operator] = update[operator] || {}
+        update[operator][attr] = value
+    }
 
-        request.body = request.body || {}
+    conditions[exports.version_key] = (previous.version || 0) + 1
+    if (typeof previous.version === 'number') {
+        op('$inc', exports.version_key, -1)
+    } else {
+        op('$unset', exports.version_key, 1)
+    }
+    if (modified) {
+        if (previous.modified) {
+            op('$set', exports.updated_at, previous.modified)
+        } else {
+            op('$unset', exports.updated_at, 1)
+        }
+    }
 
-        function handleResource (err, obj) {
+    instance.collection.update(conditions, update, { safe: true }, function () {
+        instance.setValue(exports.version_key, previous.version)
+        if (modified) {
+            instance.setValue(exports.updated_at, previous.modified)
+        }
+        callback()
+    })
+}
+
+/**
+ * Validate an instance, claim it, see `claim()`, then save it. Instances
+ * that are invalid aren't claimed, and the claim is released if the save
+ * fails anyway, e.g. on a duplicate key.
+ *
+ * @param {IncomingMessage} request
+ * @param {Document} instance
+ * @param {function} callback
+ * @api private
+ */
+
+function save (request, instance, callback) {
+    instance.validate(function (err) {
+        if (err) {
+            return callback(err)
+        }
+        claim(request, instance, function (err, previous) {
             if (err) {
-                return next(new Error(err))
-            } else if (null == obj) {
-                if (request.xhr || request.format) {
-                    response.send(404)
-                } else {
-                    request.flash('error', 'The %s could not be found.', singular)
-                    response.redirect('back')
-                }
-            } else {
-                request.resource(singular, obj)
-                next()
+                return callback(err)
             }
-        }
+            instance.save(function (err) {
+                if (err) {
+                    return release(instance, previous, function () {
+                        callback(err)
+                    })
+                }
+                callback.apply(this, arguments)
+            })
+        })
+    })
+}
 
-        //Is there a unique slug attribute we can lookup by? If not, lookup by ID
-        if (model.schema.tree.slug && !exports.id_format.test(id)) {
-            query = model.findOne({slug: id})
-        } else {
-            query = model.findById(id)
+/**
+ * Set the ETag and Last-Modified headers of a response and check the
+ * request's If-None-Match, or failing that its If-Modified-Since header.
+ * Responds with a 304 and returns true if the client's copy is current.
+ *
+ * @param {IncomingMessage} request
+ * @param {ServerResponse} response
+ * @param {string} tag
+ * @param {Date} modified (optional)
+ * @return {boolean} not_modified
+ * @api private
+ */
+
+function conditional (request, response, tag, modified) {
+    var since = Date.parse(request.headers['if-modified-since'])
+      , fresh
+
+    response.header('ETag', tag)
+    if (modified) {
+        response.header('Last-Modified', modified.toUTCString())
+    }
+
+    if (request.headers['if-none-match']) {
+        fresh = matchesETag(request.headers['if-none-match'], tag, true)
+    } else {
+        //HTTP dates are only accurate to the second
+        fresh = !!modified && !isNaN(since)
+             && Math.floor(modified.getTime() / 1000) * 1000 <= since
+    }
+
+    if (fresh) {
+        response.send(304)
+    }
+    return fresh
+}
+
+/**
+ * Get the last modified date of an instance, if it has one.
+ *
+ * @param {Document} instance
+ * @return {Date} modified
+ * @api private
+ */
+
+function lastModified (instance) {
+    var modified = instance && instance.get(exports.updated_at)
+    return modified instanceof Date ? modified : null
+}
+
+/**
+ * Set the validators of a response for an instance, see `conditional()`.
+ *
+ * @param {IncomingMessage} request
+ * @param {ServerResponse} response
+ * @param {Document} instance
+ * @return {boolean} not_modified
+ * @api private
+ */
+
+function notModified (request, response, instance) {
+    return conditional(request, response, etag(instance), lastModified(instance))
+}
+
+/**
+ * Set the configured Cache-Control header for a resource, if any.
+ *
+ * @param {ServerResponse} response
+ * @param {string} resource
+ * @api private
+ */
+
+function cacheControl (response, resource) {
+    var value = exports.cache_control[resource] || exports.cache_control['*']
+    if (value) {
+        response.header('Cache-Control', value)
+    }
+    vary(response, 'Authorization')
+    vary(response, 'Cookie')
+}
+
+/**
+ * Add a request header to the Vary header of a response.
+ *
+ * @param {ServerResponse} response
+ * @param {string} field
+ * @api private
+ */
+
+function vary (response, field) {
+    var value = response.header('Vary')
+    if (!value) {
+        response.header('Vary', field)
+    } else if (!new RegExp('\\b' + field + '\\b', 'i').test(value)) {
+        response.header('Vary', value + ', ' + field)
+    }
+}
+
+/**
+ * Run the authorization policy for an action, see `policy.register()`.
+ * Denied requests are sent the policy's status code.
+ *
+ * @param {IncomingMessage} request
+ * @param {ServerResponse} response
+ * @param {function} next
+ * @param {string} resource
+ * @param {string} action
+ * @param {object} instance
+ * @param {function} callback - called if the action is allowed
+ * @api private
+ */
+
+function authorize (request, response, next, resource, action, instance, callback) {
+    policy.check(resource, request.user, action, instance, function (err, status) {
+        if (err) {
+            return errors.handle(request, response, next, err)
+        } else if (status) {
+            return errors.send(request, response, status)
         }
+        callback()
+    })
+}
 
-        //Populate DBRefs?
-        if (dbrefs.length) {
-            dbrefs.forEach(function (attr) {
-                query.populate(attr)
-            })
+/**
+ * Get a property that the matched route's handlers are marked with. This
+ * lets param callbacks, which run first, load resources for the handler.
+ *
+ * @param {IncomingMessage} request
+ * @param {string} name
+ * @return {mixed} value
+ * @api private
+ */
+
+function marker (request, name) {
+    var callbacks = request.route && request.route.callbacks || []
+    for (var i = 0, l = callbacks.length; i < l; i++) {
+        if (callbacks[i][name]) {
+            return callbacks[i][name]
         }
+    }
+    return null
+}
 
-        query.run(handleResource)
-    })
+/**
+ * Check whether the matched route acts on soft deleted instances of a
+ * resource, i.e. whether its handler is marked with `trashed`.
+ *
+ * @param {IncomingMessage} request
+ * @param {string} resource
+ * @return {boolean} trashed
+ * @api private
+ */
+
+function inTrash (request, resource) {
+    return marker(request, 'trashed') === resource
 }
 
 /**
- * Autoload an embedded resource when a route contains it as a parameter, e.g.
- * /posts/:post/commments/:comment will automatically load the requested
- * comment (assuming the post has already been loaded).
+ * Compare two attribute values for sorting. Missing values sort first.
+ *
+ * @param {mixed} a
+ * @param {mixed} b
+ * @return {number} comparison
+ * @api private
+ */
+
+function compare (a, b) {
+    a = a instanceof Date ? a.getTime() : a && a.toHexString ? a.toHexString() : a
+    b = b instanceof Date ? b.getTime() : b && b.toHexString ? b.toHexString() : b
+    if (a === b) {
+        return 0
+    } else if (a === null || typeof a === 'undefined') {
+        return -1
+    } else if (b === null || typeof b === 'undefined') {
+        return 1
+    }
+    return a < b ? -1 : a > b ? 1 : 0
+}
+
+/**
+ * Get the requested page, limit and offset.
+ *
+ * @param {IncomingMessage} request
+ * @return {object} paging
+ * @api private
+ */
+
+function paging (request) {
+    var page = Math.max(1, parseInt(request.query.page, 10) || 1)
+      , limit = Math.max(1, Math.min(exports.max_limit, parseInt(request.query.limit, 10)
+                                                      || exports.default_limit))
+    return { page: page, limit: limit, offset: (page - 1) * limit }
+}
+
+/**
+ * Check whether a boolean query param is set, e.g. ?envelope=1 or
+ * ?envelope=true but not ?envelope=0.
+ *
+ * @param {string} value
+ * @return {boolean} set
+ * @api private
+ */
+
+function flag (value) {
+    return value === '' || value === '1' || value === 'true'
+}
+
+/**
+ * Check whether a page of embedded documents can be loaded with $slice,
+ * i.e. whether there's nothing to filter or sort in memory.
+ *
+ * @param {IncomingMessage} request
+ * @param {object} embedded - the marker set by embedded index routes
+ * @return {boolean} sliceable
+ * @api private
+ */
+
+function sliceable (request, embedded) {
+    return exports.embedded_pushdown && !request.query.where && !request.query.order
+        && !models.isSoftDeletable(embedded.resource)
+}
+
+/**
+ * Check whether a user can read a path recorded in the audit trail,
+ * following embedded documents, e.g. ["comments", "<id>", "body"].
  *
- * @param {HTTPServer} app
- * @param {string} parent
  * @param {string} resource
- * @param {string} attribute - the attribute name of the embedded resource
+ * @param {array} segments
+ * @param {object} user
+ * @return {boolean} readable
  * @api private
  */
 
-function autoloadEmbeddedResource (app, parent, resource, attribute) {
-    var model = models.mongoose.model(resource)
-      , singular = lingo.singularize(resource)
-      , parent_singular = lingo.singularize(parent)
+function readablePath (resource, segments, user) {
+    var attr = segments[0]
+      , child = models.getChildren(resource).filter(function (child) {
+            return child.attribute === attr
+        })[0]
 
-    app.param(singular, function (request, response, next) {
-        var parent = request.resource(parent_singular)
-          , id = request.params[singular]
-        if (parent && attribute in parent) {
-            parent[attribute].forEach(function (child) {
-                if (child.get('id') == id) {
-                    request.resource(singular, child)
-                    return next()
+    if (!models.isReadable(resource, attr, user)) {
+        return false
+    } else if (child && segments.length > 2) {
+        return readablePath(child.resource, segments.slice(2), user)
+    }
+    return true
+}
+
+/**
+ * Run the lifecycle hooks of a type, see `hooks.before()`. Cancelled
+ * actions are sent the hook's status code.
+ *
+ * @param {string} type - before or after
+ * @param {object} context
+ * @param {function} next
+ * @param {function} callback - called if the action can go ahead
+ * @api private
+ */
+
+function runHooks (type, context, next, callback) {
+    var request = context.request, response = context.response
+    hooks.run(type, context, function (err, status, message) {
+        if (err) {
+            return errors.handle(request, response, next, err)
+        } else if (status) {
+            return errors.send(request, response, status, message)
+        }
+        callback()
+    })
+}
+
+/**
+ * Negotiate the response format, see `formats.negotiate()`. Data formats
+ * are stored in `request.format`, which stays empty when the client wants
+ * HTML. Responds with a 406 and returns false if no format is acceptable.
+ *
+ * @param {IncomingMessage} request
+ * @param {ServerResponse} response
+ * @return {boolean} acceptable
+ * @api private
+ */
+
+function negotiate (request, response) {
+    if (!('negotiated' in request)) {
+        request.negotiated = formats.negotiate(request)
+        if (request.negotiated && request.negotiated !== 'html') {
+            request.format = request.negotiated
+        }
+        vary(response, 'Accept')
+    }
+
+    if (!request.negotiated) {
+        response.send(errors.body(406), 406)
+        return false
+    }
+
+    return true
+}
+
+/**
+ * Count the documents matched by a query, ignoring skip and limit.
+ *
+ * @param {Model} model
+ * @param {Query} query
+ * @param {function} callback
+ * @api private
+ */
+
+function countQuery (model, query, callback) {
+    model.count(query._conditions, callback)
+}
+
+/**
+ * Build a URL for the current request with some query params replaced.
+ * Params with a null value are removed.
+ *
+ * @param {IncomingMessage} request
+ * @param {object} params
+ * @return {string} url
+ * @api private
+ */
+
+function pageUrl (request, params) {
+    var url = (request.originalUrl || request.url).split('?')
+      , pairs = (url[1] || '').split('&').filter(function (pair) {
+            return pair && !(decodeURIComponent(pair.split('=')[0]) in params)
+        })
+
+    for (var param in params) {
+        if (params[param] !== null) {
+            pairs.push(encodeURIComponent(param) + '='
+                     + encodeURIComponent(params[param]))
+        }
+    }
+
+    return url[0] + (pairs.length ? '?' + pairs.join('&') : '')
+}
+
+/**
+ * Set the X-Total-Count and Link headers for a page of results.
+ *
+ * @param {IncomingMessage} request
+ * @param {ServerResponse} response
+ * @param {object} meta
+ * @api private
+ */
+
+function paginationHeaders (request, response, meta) {
+    var links = []
+
+    function link (rel, params) {
+        links.push('<' + pageUrl(request, params) + '>; rel="' + rel + '"')
+    }
+
+    if (meta.after) {
+        if (meta.next) {
+            link('next', { after: meta.next, page: null })
+        }
+    } else {
+        link('first', { page: 1 })
+        if (meta.page > 1) {
+            link('prev', { page: meta.page - 1 })
+        }
+        if (meta.page < meta.pages) {
+            link('next', { page: meta.page + 1 })
+        }
+        link('last', { page: Math.max(1, meta.pages) })
+    }
+
+    response.header('X-Total-Count', String(meta.total))
+    response.header('Link', links.join(', '))
+}
+
+/**
+ * Walk the embedded resources below a resource, parents first. The
+ * function receives each embedded resource, its ancestors and the value
+ * returned for its parent, and its children are only visited if it
+ * returns a value. Resources that embed themselves aren't followed.
+ *
+ * @param {array} ancestors
+ * @param {mixed} value
+ * @param {function} fn
+ * @api private
+ */
+
+function eachEmbedded (ancestors, value, fn) {
+    var resource = ancestors[ancestors.length - 1]
+    models.getChildren(resource).forEach(function (embedded) {
+        if (~ancestors.indexOf(embedded.resource)) {
+            return
+        }
+        var child = fn(embedded, ancestors, value)
+        if (child) {
+            eachEmbedded(ancestors.concat(embedded.resource), child, fn)
+        }
+    })
+}
+
+/**
+ * Get the attribute a resource is embedded in its parent with.
+ *
+ * @param {string} parent
+ * @param {string} resource
+ * @return {string} attribute
+ * @api private
+ */
+
+function childAttribute (parent, resource) {
+    return models.getChildren(parent).filter(function (child) {
+        return child.resource === resource
+    })[0].attribute
+}
+
+/**
+ * Generate RESTful routes for all models.
+ *
+ * @return {object} routes
+ * @api public
+ */
+
+exports.routes = function () {
+    if (!exports.cached_routes) {
+        var routes = exports.cached_routes = {}
+
+        //Create routes for each top level model
+        models.getTopLevel().forEach(function (resource) {
+            var plural = lingo.pluralize(resource)
+              , parent = routes[plural] = topLevelRoutes(resource)
+
+            parent.embedded = {}
+
+            //Create routes for embedded documents, however deeply nested
+            eachEmbedded([resource], parent, function (embedded, ancestors, parent) {
+                var child = parent.embedded[embedded.attribute] = embeddedRoutes(ancestors,
+                    embedded.resource, embedded.attribute)
+                child.embedded = {}
+                return child
+            })
+
+        })
+    }
+
+    return exports.cached_routes
+}
+
+/**
+ * List the RESTful routes for all models, including embedded documents,
+ * without registering them. Each route has its `method`, `path`,
+ * `resource`, `action`, `handler` and the resources it's embedded in,
+ * `ancestors`. Takes the same options as `mount()`.
+ *
+ * @param {object} options (optional)
+ * @return {array} routes
+ * @api public
+ */
+
+exports.routeTable = function (options) {
+    options = options || {}
+
+    var prefix = (options.prefix || '').replace(/\/$/, '')
+      , routes = exports.routes()
+      , table = []
+
+    function listed (list, resource) {
+        return list && (~list.indexOf(resource) || ~list.indexOf(lingo.pluralize(resource)))
+    }
+
+    function enabled (resource, action) {
+        var disable = options.disable || []
+        return !~disable.indexOf(action) && !~disable.indexOf(resource + '.' + action)
+    }
+
+    function route (method, path, resource, action, handler, ancestors) {
+        if (!handler || !enabled(resource, action)) {
+            return
+        }
+        table.push({
+            method    : method.toUpperCase()
+          , path      : path
+          , resource  : resource
+          , action    : action
+          , handler   : handler
+          , ancestors : ancestors || []
+        })
+    }
+
+    models.getTopLevel().forEach(function (resource) {
+        if ((options.include && !listed(options.include, resource))
+                || listed(options.exclude, resource)) {
+            return
+        }
+
+        var plural = lingo.pluralize(resource)
+          , collection = prefix + '/' + plural
+          , member = collection + '/:' + lingo.singularize(resource).toLowerCase()
+          , parent = routes[plural]
+
+        //Static paths go first so that they aren't matched as an :id
+        route('post', collection + '/bulk.:format?', resource, 'bulk', parent.bulk)
+        route('get', collection + '/trash.:format?', resource, 'trash', parent.trash)
+        route('get', collection + '.:format?', resource, 'index', parent.index)
+        route('post', collection + '.:format?', resource, 'create', parent.create)
+        route('get', member + '.:format?', resource, 'show', parent.show)
+        route('put', member + '.:format?', resource, 'update', parent.update)
+        route('patch', member + '.:format?', resource, 'patch', parent.patch)
+        route('delete', member + '.:format?', resource, 'destroy', parent.destroy)
+        route('post', member + '/restore.:format?', resource, 'restore', parent.restore)
+        route('delete', member + '/purge.:format?', resource, 'purge', parent.purge)
+        route('get', member + '/history.:format?', resource, 'history', parent.history)
+        route('post', member + '/history/:revision/revert.:format?', resource, 'revert',
+              parent.revert)
+
+        eachEmbedded([resource], { member: member, routes: parent },
+                     function (embedded, ancestors, parent) {
+            if (listed(options.exclude, embedded.resource)) {
+                return null
+            }
+
+            var child = embedded.resource
+              , children = parent.member + '/' + embedded.plural
+              , instance = children + '/:' + embedded.singular
+              , child_routes = parent.routes.embedded[embedded.attribute]
+
+            function childRoute (method, path, action) {
+                route(method, path, child, action, child_routes[action], ancestors)
+            }
+
+            childRoute('get', children + '/trash.:format?', 'trash')
+            childRoute('get', children + '.:format?', 'index')
+            childRoute('post', children + '.:format?', 'create')
+            childRoute('get', instance + '.:format?', 'show')
+            childRoute('put', instance + '.:format?', 'update')
+            childRoute('delete', instance + '.:format?', 'destroy')
+            childRoute('post', instance + '/move.:format?', 'move')
+            childRoute('post', instance + '/restore.:format?', 'restore')
+            childRoute('delete', instance + '/purge.:format?', 'purge')
+
+            return { member: instance, routes: child_routes }
+        })
+    })
+
+    return table
+}
+
+/**
+ * Routes registered by `mount()`.
+ */
+
+exports.mounted = []
+
+/**
+ * Register the RESTful routes for all models, including embedded
+ * documents, e.g. GET /posts, GET /posts/:post and GET /posts/:post/comments.
+ * Soft deleted resources also get GET /posts/trash, POST /posts/:post/restore
+ * and DELETE /posts/:post/purge, and when auditing is enabled, resources get
+ * GET /posts/:post/history and POST /posts/:post/history/:revision/revert.
+ * Embedded documents can be moved with POST /posts/:post/comments/:comment/move.
+ *
+ * Options:
+ *
+ *   - prefix: a path prefix, e.g. "/api/v1"
+ *   - include: only mount these resources
+ *   - exclude: don't mount these resources
+ *   - disable: actions not to mount, e.g. ["destroy", "Post.bulk"]
+ *   - render: called as `render(resource, action, request, response, next)`
+ *     after actions that hand HTML requests on with next()
+ *
+ * @param {HTTPServer} app
+ * @param {object} options (optional)
+ * @return {array} routes - the registered routes
+ * @api public
+ */
+
+exports.mount = function (app, options) {
+    options = options || {}
+
+    var registered = []
+
+    exports.routeTable(options).forEach(function (route) {
+        var method = route.method.toLowerCase()
+          , register = method === 'delete' ? app.del || app['delete'] : app[method]
+          , handlers = [route.handler]
+
+        //Older versions of express have no app.patch()
+        if (typeof register !== 'function') {
+            register = app.all
+            handlers.unshift(function (request, response, next) {
+                next(request.method === route.method ? null : 'route')
+            })
+        }
+
+        if (options.render) {
+            handlers.push(function (request, response, next) {
+                options.render(route.resource, route.action, request, response, next)
+            })
+        }
+
+        register.apply(app, [route.path].concat(handlers))
+        registered.push({
+            method   : route.method
+          , path     : route.path
+          , resource : route.resource
+          , action   : route.action
+        })
+    })
+
+    exports.mounted = exports.mounted.concat(registered)
+
+    return registered
+}
+
+/**
+ * The param loaders for the current schema map, param => loader.
+ */
+
+var loaders = {}
+
+/**
+ * The apps resources are autoloaded for, and the params wired on each.
+ */
+
+var wired = []
+
+/**
+ * Autoload resources when they're part of a route, e.g. /posts/:post
+ * or any other route with the ":post" param will automatically load
+ * the resource  - accessible via request.resource('post')
+ *
+ * Each param is only wired to an app once and loads with the current
+ * schema map, so this can be called again after `models.use()`.
+ *
+ * @param {HTTPServer} app
+ * @api public
+ */
+
+exports.autoloadResources = function (app) {
+    var current = {}
+      , app_wired = wired.filter(function (wiring) {
+            return wiring.app === app
+        })[0]
+
+      , parents = {}
+
+    models.getTopLevel().forEach(function (resource) {
+        autoloadTopLevelResource(current, resource)
+
+        eachEmbedded([resource], true, function (embedded, ancestors) {
+            var parent = ancestors[ancestors.length - 1]
+            parents[embedded.resource] = parents[embedded.resource] || {}
+            parents[embedded.resource][parent] = embedded.attribute
+            return true
+        })
+    })
+
+    Object.keys(parents).forEach(function (resource) {
+        autoloadEmbeddedResource(current, resource, parents[resource])
+    })
+
+    current.format = function (request, response, next) {
+        if (negotiate(request, response)) {
+            next()
+        }
+    }
+
+    loaders = current
+
+    if (!app_wired) {
+        app_wired = { app: app, params: [] }
+        wired.push(app_wired)
+
+        app.dynamicHelpers({resource: function (request, response) {
+            return request.resource
+        }})
+    }
+
+    Object.keys(loaders).forEach(function (param) {
+        if (~app_wired.params.indexOf(param)) {
+            return
+        }
+        app_wired.params.push(param)
+        app.param(param, function (request, response, next) {
+            //Params of resources that are no longer mapped are left alone
+            if (!loaders[param]) {
+                return next()
+            }
+            loaders[param](request, response, next)
+        })
+    })
+}
+
+/**
+ * Add the loader for a resource that a route contains as a parameter,
+ * e.g. /posts/:post will automatically load the requested post, where
+ * :post is either an ID or unique slug, e.g. /posts/my-test-post or /posts/23
+ *
+ * When slugs are managed, see `slugs.register()`, GET requests for an ID
+ * or a previous slug are redirected to the URL with the current slug.
+ *
+ * @param {object} loaders - param => loader
+ * @param {string} resource
+ * @api private
+ */
+
+function autoloadTopLevelResource (loaders, resource) {
+    var model = models.mongoose.model(resource)
+      , singular = lingo.singularize(resource)
+      , dbrefs = models.getDbrefAttributes(resource)
+      , paramName = singular.toLowerCase()
+      , soft = models.isSoftDeletable(resource)
+      , managed = !!slugs.source(resource)
+      , has_slug = slugs.path in models.describe(resource)
+
+    loaders[paramName] = function (request, response, next) {
+        var id = request.params[paramName]
+          , embedded = marker(request, 'embedded')
+          , paged
+          , fields = null
+          , populate
+          , by_id
+          , by_history = false
+
+        if (!negotiate(request, response)) {
+            return
+        }
+
+        //Sparse fieldsets and populate params only apply to the resource's own
+        //show route, other routes need the whole document, e.g. its children
+        try {
+            if (marker(request, 'shows') !== resource) {
+                populate = dbrefs
+            } else {
+                fields = filter.fields(resource, request.query.fields, request.user)
+                populate = filter.populate(resource, request.query.populate, dbrefs,
+                                           request.user)
+            }
+        } catch (err) {
+            if (err instanceof filter.FilterError) {
+                return errors.send(request, response, 400, err.message)
+            }
+            throw err
+        }
+
+        request.body = request.body || {}
+
+        function handleResource (err, obj) {
+            var canonical = managed && obj && obj.get(slugs.path)
+            if (err) {
+                return errors.handle(request, response, next, err)
+            } else if (null == obj && managed && !by_id && !by_history
+                    && slugs.hasHistory(resource)) {
+                //Look for a document that used to have the slug
+                by_history = true
+                return find(slugs.history, id).run(handleResource)
+            } else if (null == obj) {
+                errors.send(request, response, 404,
+                            'The ' + singular + ' could not be found.')
+            } else if (canonical && canonical !== id && (by_id || by_history)
+                    && (request.method === 'GET' || request.method === 'HEAD')) {
+                response.redirect(canonicalUrl(request, paramName, id, canonical), 301)
+            } else {
+                request.resource(singular, obj)
+                next()
+            }
+        }
+
+        //Build a query for the document with an attribute
+        function find (attr, value) {
+            var conditions = {}, query
+            conditions[attr] = value
+
+            query = model.findOne(conditions)
+
+            //Soft deleted documents can only be restored or purged
+            if (soft) {
+                query.where(models.deleted_at, inTrash(request, resource) ? { $ne: null } : null)
+            }
+
+            if (fields) {
+                query.select(fields)
+            }
+
+            //Only load the requested page of embedded documents
+            if (embedded && embedded.parent === resource && sliceable(request, embedded)) {
+                paged = paging(request)
+                query.slice(embedded.attribute, [paged.offset, paged.limit])
+                request.sliced = embedded
+            }
+
+            //Populate DBRefs?
+            populate.forEach(function (attr) {
+                query.populate(attr)
+            })
+
+            return query
+        }
+
+        //Is there a unique slug attribute we can lookup by? If not, lookup by ID
+        by_id = !has_slug || exports.id_format.test(id)
+        find(by_id ? '_id' : slugs.path, id).run(handleResource)
+    }
+}
+
+/**
+ * Build the URL of the current request with a resource param replaced,
+ * e.g. /posts/4f0a..3e/comments => /posts/hello-world/comments.
+ *
+ * @param {IncomingMessage} request
+ * @param {string} param
+ * @param {string} value - the requested value
+ * @param {string} replacement
+ * @return {string} url
+ * @api private
+ */
+
+function canonicalUrl (request, param, value, replacement) {
+    var url = (request.originalUrl || request.url).split('?')
+      , segments = url[0].split('/')
+      , index = -1
+      , pattern = new RegExp('^:' + param + '(\\W|$)')
+
+    //Find the param's segment in the route, if it's known
+    if (request.route && request.route.path) {
+        request.route.path.split('/').forEach(function (segment, i) {
+            if (pattern.test(segment)) {
+                index = i
+            }
+        })
+    }
+
+    segments = segments.map(function (segment, i) {
+        var decoded = decodeURIComponent(segment)
+        if ((index === -1 || index === i) && (decoded === value
+                || decoded.indexOf(value + '.') === 0)) {
+            index = i
+            return encodeURIComponent(replacement) + decoded.substr(value.length)
+        }
+        return segment
+    })
+
+    return segments.join('/') + (url[1] ? '?' + url[1] : '')
+}
+
+/**
+ * Add the loader for an embedded resource that a route contains as a
+ * parameter, e.g. /posts/:post/commments/:comment will automatically load
+ * the requested comment (assuming the post has already been loaded).
+ *
+ * A resource can be embedded in more than one parent. The generated routes
+ * are marked with the resources they're embedded in, which tells which
+ * parent to load from, other routes load from the first parent loaded.
+ *
+ * @param {object} loaders - param => loader
+ * @param {string} resource
+ * @param {object} parents - parent => the attribute it embeds the resource with
+ * @api private
+ */
+
+function autoloadEmbeddedResource (loaders, resource, parents) {
+    var singular = lingo.singularize(resource)
+      , soft = models.isSoftDeletable(resource)
+
+    //Get the parent and attribute to load the resource from
+    function locate (request) {
+        var ancestors = marker(request, 'ancestors') || []
+          , index = ancestors.indexOf(resource)
+          , candidates = index > 0 ? [ancestors[index - 1]] : Object.keys(parents)
+
+        for (var i = 0, l = candidates.length; i < l; i++) {
+            if (candidates[i] in parents
+                    && request.resource(lingo.singularize(candidates[i]))) {
+                return {
+                    instance  : request.resource(lingo.singularize(candidates[i]))
+                  , attribute : parents[candidates[i]]
+                }
+            }
+        }
+        return null
+    }
+
+    loaders[singular] = function (request, response, next) {
+        var located = locate(request)
+          , parent = located && located.instance
+          , attribute = located && located.attribute
+          , id = request.params[singular]
+          , trashed = inTrash(request, resource)
+
+        if (!negotiate(request, response)) {
+            return
+        }
+        if (parent && parent[attribute]) {
+            for (var i = 0, l = parent[attribute].length; i < l; i++) {
+                if (parent[attribute][i].get('id') == id
+                        && (!soft || models.isDeleted(parent[attribute][i]) === trashed)) {
+                    request.resource(singular, parent[attribute][i])
+                    return next()
+                }
+            }
+        }
+        errors.send(request, response, 404,
+                    'The ' + singular + ' could not be found.')
+    }
+}
+
+/**
+ * Generate routes for top level models.
+ *
+ * @param {string} resource
+ * @api private
+ */
+
+function topLevelRoutes (resource) {
+
+    var model = models.mongoose.model(resource)
+      , singular = lingo.singularize(resource)
+      , plural = lingo.pluralize(resource)
+      , soft = models.isSoftDeletable(resource)
+      , routes = {}
+
+    //GET /<resource>
+    routes.index = function (request, response, next) {
+        list(request, response, next, false)
+    }
+
+    //List either the live or the soft deleted instances
+    function list (request, response, next, trashed) {
+        var paged = paging(request)
+          , page = paged.page
+          , limit = paged.limit
+          , offset = paged.offset
+          , after = request.query.after
+          , order = request.query.order
+          , direction = request.query.desc ? 'descending' : 'ascending'
+          , conditions
+          , fields
+          , populate
+          , query
+
+        if (!negotiate(request, response)) {
+            return
+        }
+
+        //Filter by ?where[attr][op]=value, select ?fields= and ?populate= refs
+        try {
+            conditions = filter.parse(resource, request.query.where, request.user)
+            fields = filter.fields(resource, request.query.fields, request.user)
+            populate = filter.populate(resource, request.query.populate, [],
+                                       request.user)
+        } catch (err) {
+            if (err instanceof filter.FilterError) {
+                return errors.send(request, response, 400, err.message)
+            }
+            throw err
+        }
+
+        if (order && !models.isReadable(resource, order, request.user)) {
+            return errors.send(request, response, 400, 'Unknown attribute "' + order + '"')
+        } else if (after && !exports.id_format.test(after)) {
+            return errors.send(request, response, 400, 'Invalid cursor')
+        }
+
+        //Page by ?after=<id> rather than skipping when a cursor is given
+        function applyCursor(query, callback) {
+            var op = direction === 'ascending' ? 'gt' : 'lt'
+
+            if (!after) {
+                if (order) {
+                    query.sort([[order, direction]])
+                }
+                query.skip(offset)
+                return callback()
+            } else if (!order || order === 'id' || order === '_id') {
+                query[op]('_id', after)
+                query.sort([['_id', direction]])
+                return callback()
+            }
+
+            //Resume after the cursor's sort key, using _id to break ties. The
+            //cursor has to match the query, so it can't be used to read the
+            //sort key of a document the user can't list
+            var scope = {}
+            for (var path in query._conditions) {
+                scope[path] = query._conditions[path]
+            }
+            if ('_id' in scope) {
+                scope = { $and: [scope, { _id: after }] }
+            } else {
+                scope._id = after
+            }
+            model.findOne(scope, [order], function (err, cursor) {
+                if (err) {
+                    return errors.handle(request, response, next, err)
+                } else if (!cursor) {
+                    return errors.send(request, response, 400, 'Invalid cursor')
+                }
+                var value = cursor.get(order), before = {}, tie = {}
+                before[order] = {}
+                before[order]['$' + op] = value
+                tie[order] = value
+                tie._id = {}
+                tie._id['$' + op] = cursor._id
+                query.or([before, tie])
+                query.sort([[order, direction], ['_id', direction]])
+                callback()
+            })
+        }
+
+        function doQuery(query) {
+            for (var attr in conditions) {
+                query.where(attr, conditions[attr])
+            }
+            if (soft) {
+                query.where(models.deleted_at, trashed ? { $ne: null } : null)
+            }
+            authorize(request, response, next, resource, trashed ? 'trash' : 'index',
+                      query, function () {
+                runQuery(query)
+            })
+        }
+
+        //Validate the collection by its size and when it last changed, so
+        //that unchanged results aren't queried again
+        function validate(query, total, callback) {
+            if (!request.format) {
+                return callback()
+            }
+            cacheControl(response, resource)
+            if (!model.schema.path(exports.updated_at)) {
+                return callback()
+            }
+            model.findOne(query._conditions, [exports.updated_at])
+                 .sort([[exports.updated_at, 'descending']])
+                 .run(function (err, latest) {
+                if (err) {
+                    return errors.handle(request, response, next, err)
+                }
+                var modified = lastModified(latest)
+                  , tag = '"' + crypto.createHash('md5').update([format(request), total,
+                            modified ? modified.getTime() : 0].join(':')).digest('hex') + '"'
+                if (!conditional(request, response, tag, modified)) {
+                    callback()
+                }
+            })
+        }
+
+        function runQuery(query) {
+            countQuery(model, query, function (err, total) {
+                if (err) {
+                    return errors.handle(request, response, next, err)
+                }
+                validate(query, total, function () {
+                    applyCursor(query, function () {
+                        if (fields) {
+                            query.select(fields)
+                        }
+                        populate.forEach(function (attr) {
+                            query.populate(attr)
+                        })
+                        query.limit(limit).run(function (err, results) {
+                            if (err) {
+                                return errors.handle(request, response, next, err)
+                            }
+                            results = results || []
+                            var meta = {
+                                total  : total
+                              , limit  : limit
+                              , page   : after ? null : page
+                              , pages  : Math.ceil(total / limit)
+                              , offset : after ? null : offset
+                              , after  : after || null
+                              , next   : null
+                            }
+                            if (results.length === limit) {
+                                meta.next = results[limit - 1].get('id')
+                            }
+                            if (request.format) {
+                                var elements = [];
+                                results.forEach(function (element) {
+                                    elements.push(toJSON(resource, element, request.user));
+                                });
+                                paginationHeaders(request, response, meta)
+                                if ((exports.envelope || flag(request.query.envelope))
+                                        && format(request) === 'json') {
+                                    meta.results = elements
+                                    return response.send(meta)
+                                }
+                                return formats.send(response, format(request),
+                                                    resource, elements, request.user)
+                            }
+                            var locals = meta
+                            locals.query = request.query
+                            locals[plural] = results
+                            response.locals(locals)
+                            request.resource(plural, results)
+                            next()
+                        })
+                    })
+                })
+            })
+        }
+
+        //Use Model.search() if it's defined
+        if (model.search) {
+            model.search(request.query, request.user, function (err, query) {
+                if (err) {
+                    return errors.handle(request, response, next, err)
+                }
+                doQuery(query)
+            })
+        } else {
+            doQuery(model.find())
+        }
+    }
+
+    //Build a new instance from a request body
+    function buildInstance (body, user) {
+        var attr, instance = new model()
+        models.filterWritable(resource, body, user)
+        for (attr in body) {
+            instance[attr] = body[attr]
+        }
+        if (model.schema.path(exports.updated_at)) {
+            instance[exports.updated_at] = new Date()
+        }
+        return instance
+    }
+
+    //Remove an instance, or move it to the trash
+    function removeInstance (request, instance, callback) {
+        if (soft) {
+            instance[models.deleted_at] = new Date()
+            return save(request, instance, callback)
+        }
+        purgeInstance(request, instance, callback)
+    }
+
+    //Remove an instance for good
+    function purgeInstance (request, instance, callback) {
+        claim(request, instance, function (err, previous) {
+            if (err) {
+                return callback(err)
+            }
+            instance.remove(function (err) {
+                if (err) {
+                    return release(instance, previous, function () {
+                        callback(err)
+                    })
+                }
+                callback.apply(this, arguments)
+            })
+        })
+    }
+
+    //Update an instance from a request body
+    function updateInstance (request, instance, body, callback) {
+        var finish = assign(instance, body, request.user)
+        save(request, instance, function (err) {
+            if (err || !finish) {
+                return callback.apply(this, arguments)
+            }
+            finish()
+            instance.save(callback)
+        })
+    }
+
+    //Assign a request body to an instance. If it has to be saved in two
+    //steps, returns the function that assigns the rest after the first
+    function assign (instance, body, user) {
+        var attr
+
+        //Remove attributes not defined on the schema, or not writable
+        models.filterWritable(resource, body, user)
+
+        //Fix array attributes in body
+        models.getArrayAttributes(resource).forEach(function (attr) {
+            if (attr in body && !Array.isArray(body[attr])) {
+                //Make it an array if it's just a single value
+                body[attr] = [body[attr]]
+            }
+        })
+
+        //Check if the update requires an add/remove operation on
+        //the same array attribute as these must be done separately.
+        //See https://jira.mongodb.org/browse/SERVER-1050
+
+        var requires_SERVER1050_fix = false
+          , array_attributes = models.getArrayAttributes(resource)
+
+        array_attributes.forEach(function (attr) {
+            if (!Array.isArray(instance[attr]) || !(attr in body)) {
+                return;
+            }
+
+            var added = removed = false
+            instance[attr].forEach(function (elem) {
+                if (typeof elem === 'object') {
+                    return; //Deep equals is unsupported
+                }
+                if (body[attr].indexOf(elem) === -1) {
+                    removed = true
+                }
+            });
+
+            body[attr].forEach(function (elem) {
+                if (typeof elem === 'object' || instance[attr].indexOf(elem) === -1) {
+                    added = true
+                    instance[attr].push(elem)
+                }
+            });
+
+            if (added && removed) {
+                requires_SERVER1050_fix = true
+            } else {
+                instance[attr] = body[attr]
+            }
+        })
+
+        //Copy over other attributes
+        for (attr in instance) {
+            if (array_attributes.indexOf(attr) !== -1) {
+                continue;
+            }
+            if (attr in body) {
+                instance[attr] = body[attr]
+            }
+        }
+
+        if (!requires_SERVER1050_fix) {
+            return null
+        }
+
+        return function () {
+            //Copy over all attributes now
+            for (attr in instance) {
+                if (attr in body) {
+                    instance[attr] = body[attr]
+                }
+            }
+        }
+    }
+
+    //POST /<resource>
+    routes.create = function (request, response, next) {
+        var instance = buildInstance(request.body, request.user)
+          , context = {
+                request  : request
+              , response : response
+              , resource : resource
+              , action   : 'create'
+              , instance : instance
+              , body     : request.body
+            }
+
+        if (!negotiate(request, response)) {
+            return
+        }
+        authorize(request, response, next, resource, 'create', instance, function () {
+            runHooks('before', context, next, function () {
+                instance.save(function (err) {
+                    if (err) {
+                        return errors.handle(request, response, next, err)
+                    }
+                    runHooks('after', context, next, function () {
+                        response.send(toJSON(resource, instance, request.user))
+                    })
+                })
+            })
+        })
+    }
+
+    //GET /<resource>/:id
+    routes.show = function (request, response, next) {
+        var instance = request.resource(singular)
+
+        if (!negotiate(request, response)) {
+            return
+        }
+        authorize(request, response, next, resource, 'show', instance, function () {
+            if (request.format) {
+                cacheControl(response, resource)
+                if (notModified(request, response, instance)) {
+                    return
+                }
+                return formats.send(response, format(request), resource,
+                                    toJSON(resource, instance, request.user),
+                                    request.user)
+            }
+            response.local('instance', instance)
+            next()
+        })
+    }
+
+    //PUT /<resource>/:id
+    routes.update = function (request, response, next) {
+        var instance = request.resource(singular)
+          , context = {
+                request  : request
+              , response : response
+              , resource : resource
+              , action   : 'update'
+              , instance : instance
+              , body     : models.filterWritable(resource, request.body, request.user)
+            }
+
+        if (!negotiate(request, response)) {
+            return
+        }
+        authorize(request, response, next, resource, 'update', instance, function () {
+            if (!checkIfMatch(request, response, instance)) {
+                return
+            }
+            runHooks('before', context, next, function () {
+                updateInstance(request, instance, context.body, function (err) {
+                    if (err) {
+                        return errors.handle(request, response, next, err)
+                    }
+                    runHooks('after', context, next, function () {
+                        response.header('ETag', etag(instance))
+                        if (request.format) {
+                            return response.send(toJSON(resource, instance, request.user))
+                        }
+                        next()
+                    })
+                })
+            })
+        })
+    }
+
+    //PATCH /<resource>/:id
+    routes.patch = function (request, response, next) {
+        var instance = request.resource(singular)
+          , snapshot = patch.snapshot(resource, instance)
+          , context = {
+                request  : request
+              , response : response
+              , resource : resource
+              , action   : 'update'
+              , instance : instance
+              , body     : request.body
+            }
+
+        if (!negotiate(request, response)) {
+            return
+        }
+        authorize(request, response, next, resource, 'update', instance, function () {
+            if (!checkIfMatch(request, response, instance)) {
+                return
+            }
+            runHooks('before', context, next, function () {
+                //Apply the patch after the hooks so that it sees their changes
+                try {
+                    patch.apply(resource, instance, request)
+                } catch (err) {
+                    if (err instanceof patch.PatchError) {
+                        return errors.send(request, response, err.status, err.message)
+                    }
+                    throw err
+                }
+                instance.validate(function (err) {
+                    if (err) {
+                        return errors.handle(request, response, next, err)
+                    }
+                    write()
+                })
+            })
+        })
+
+        //Write the changes in a single update, then reload the instance
+        function write () {
+            var conditions = { _id: instance._id }
+              , update = patch.update(resource, snapshot, instance, conditions)
+
+            if (!Object.keys(update).length) {
+                return reload()
+            }
+            versioned(request, instance, conditions, update)
+            model.collection.update(conditions, update, { safe: true }, function (err, count) {
+                if (err) {
+                    return errors.handle(request, response, next, err)
+                } else if (!count && request.headers['if-match']) {
+                    return errors.handle(request, response, next, new VersionError())
+                } else if (!count) {
+                    //An array that was $set changed since it was loaded
+                    return errors.send(request, response, 409, 'The ' + singular
+                                     + ' was changed by another request, try again.')
+                }
+                reload()
+            })
+        }
+
+        function reload () {
+            model.findById(instance._id, function (err, instance) {
+                if (err) {
+                    return errors.handle(request, response, next, err)
+                }
+                request.resource(singular, instance)
+                context.instance = instance
+                runHooks('after', context, next, function () {
+                    response.header('ETag', etag(instance))
+                    if (request.format) {
+                        return response.send(toJSON(resource, instance, request.user))
+                    }
+                    next()
+                })
+            })
+        }
+    }
+
+    //DELETE /<resource>/:id
+    routes.destroy = function (request, response, next) {
+        var instance = request.resource(singular)
+          , context = {
+                request  : request
+              , response : response
+              , resource : resource
+              , action   : 'destroy'
+              , instance : instance
+              , body     : request.body
+            }
+
+        if (!negotiate(request, response)) {
+            return
+        }
+        authorize(request, response, next, resource, 'destroy', instance, function () {
+            if (!checkIfMatch(request, response, instance)) {
+                return
+            }
+            runHooks('before', context, next, function () {
+                removeInstance(request, instance, function (err) {
+                    if (err) {
+                        return errors.handle(request, response, next, err)
+                    }
+                    runHooks('after', context, next, function () {
+                        if (request.format) {
+                            return response.send(200)
+                        }
+                        next()
+                    })
+                })
+            })
+        })
+    }
+
+    if (soft) {
+
+        //GET /<resource>/trash
+        routes.trash = function (request, response, next) {
+            list(request, response, next, true)
+        }
+
+        //POST /<resource>/:id/restore
+        routes.restore = function (request, response, next) {
+            var instance = request.resource(singular)
+              , context = {
+                    request  : request
+                  , response : response
+                  , resource : resource
+                  , action   : 'restore'
+                  , instance : instance
+                  , body     : request.body
+                }
+
+            if (!negotiate(request, response)) {
+                return
+            }
+            authorize(request, response, next, resource, 'restore', instance, function () {
+                if (!checkIfMatch(request, response, instance)) {
+                    return
+                }
+                runHooks('before', context, next, function () {
+                    instance[models.deleted_at] = null
+                    save(request, instance, function (err) {
+                        if (err) {
+                            return errors.handle(request, response, next, err)
+                        }
+                        runHooks('after', context, next, function () {
+                            response.header('ETag', etag(instance))
+                            if (request.format) {
+                                return response.send(toJSON(resource, instance, request.user))
+                            }
+                            next()
+                        })
+                    })
+                })
+            })
+        }
+
+        //DELETE /<resource>/:id/purge
+        routes.purge = function (request, response, next) {
+            var instance = request.resource(singular)
+              , context = {
+                    request  : request
+                  , response : response
+                  , resource : resource
+                  , action   : 'purge'
+                  , instance : instance
+                  , body     : request.body
+                }
+
+            if (!negotiate(request, response)) {
+                return
+            }
+            authorize(request, response, next, resource, 'purge', instance, function () {
+                if (!checkIfMatch(request, response, instance)) {
+                    return
                 }
+                runHooks('before', context, next, function () {
+                    purgeInstance(request, instance, function (err) {
+                        if (err) {
+                            return errors.handle(request, response, next, err)
+                        }
+                        runHooks('after', context, next, function () {
+                            if (request.format) {
+                                return response.send(200)
+                            }
+                            next()
+                        })
+                    })
+                })
             })
-        } else if (request.xhr || request.format) {
-            response.send([])
-        } else {
-            request.flash('error', 'The %s could not be found.', singular)
-            response.redirect('back')
         }
-    })
-}
 
-/**
- * Generate routes for top level models.
- *
- * @param {string} resource
- * @api private
- */
+        //Autoload the soft deleted instance for these routes
+        routes.restore.trashed = routes.purge.trashed = resource
+    }
 
-function topLevelRoutes (resource) {
+    //Load a sparse fieldset and populate params for this route, see autoload
+    routes.show.shows = resource
 
-    var model = models.mongoose.model(resource)
-      , singular = lingo.singularize(resource)
-      , plural = lingo.pluralize(resource)
-      , routes = {}
+    if (audit.enabled) {
 
-    //GET /<resource>
-    routes.index = function (request, response, next) {
-        var page = parseInt(request.query.page) || 1
-          , limit = Math.min(exports.max_limit, request.query.limit
-                                                   || exports.default_limit)
-          , offset = (page - 1) * limit
-          , locals = {}
-          , query
+        //GET /<resource>/:id/history
+        routes.history = function (request, response, next) {
+            var instance = request.resource(singular)
+              , paged = paging(request)
+              , page = paged.page
+              , limit = paged.limit
 
-        function doQuery(query) {
-            query.skip(offset).limit(limit).run(function (err, results) {
-                if (err) {
-                    return next(new Error(err))
-                } else if (request.xhr || request.format) {
-                    var elements = [];
-                    (results || []).forEach(function (element) {
-                        elements.push(toJSON(element));
-                    });
-                    return response.send(elements);
-                }
-                var locals = {
-                    limit  : limit
-                  , page   : page
-                  , offset : offset
-                  , query  : request.query
-                }
-                locals[plural] = results || []
-                response.locals(locals)
-                request.resource(plural, results)
-                next()
+            if (!negotiate(request, response)) {
+                return
+            }
+            authorize(request, response, next, resource, 'history', instance, function () {
+                audit.history(resource, instance.get('id'), {
+                    skip  : paged.offset
+                  , limit : limit
+                }, function (err, entries, total) {
+                    if (err) {
+                        return errors.handle(request, response, next, err)
+                    }
+                    entries = entries.map(function (entry) {
+                        return historyEntry(entry, request.user)
+                    })
+                    if (request.format) {
+                        paginationHeaders(request, response, {
+                            total : total
+                          , page  : page
+                          , pages : Math.ceil(total / limit)
+                        })
+                        return response.send(entries)
+                    }
+                    response.local('history', entries)
+                    next()
+                })
             })
         }
 
-        //Use Model.search() if it's defined
-        if (model.search) {
-            model.search(request.query, request.user, function (err, query) {
-                if (err) {
-                    return next(new Error(err))
+        //POST /<resource>/:id/history/:revision/revert
+        routes.revert = function (request, response, next) {
+            var instance = request.resource(singular)
+              , revision = request.params.revision
+
+            if (!negotiate(request, response)) {
+                return
+            }
+            authorize(request, response, next, resource, 'revert', instance, function () {
+                if (!checkIfMatch(request, response, instance)) {
+                    return
+                } else if (!exports.id_format.test(revision)) {
+                    return errors.send(request, response, 404,
+                                       'The revision could not be found.')
                 }
-                doQuery(query)
+                audit.get(resource, instance.get('id'), revision, function (err, entry) {
+                    if (err) {
+                        return errors.handle(request, response, next, err)
+                    } else if (!entry || !entry.snapshot) {
+                        return errors.send(request, response, 404,
+                                           'The revision could not be found.')
+                    }
+                    revert(request, response, next, instance, entry)
+                })
             })
-        } else {
-            query = model.find()
-            if (request.query.order) {
-                query = query.sort([[
-                    request.query.order, request.query.desc ? 'descending'
-                                                            : 'ascending'
-                ]])
-            }
-            doQuery(query)
         }
     }
 
-    //POST /<resource>
-    routes.create = function (request, response, next) {
-        var attr, instance = new model()
-        for (attr in request.body) {
-            if (!(attr in model.schema.tree)) {
-                delete request.body[attr]
-            }
-        }
-        for (attr in request.body) {
-            instance[attr] = request.body[attr]
-        }
-        instance.save(function (err) {
-            var id = model.schema.tree.slug ? instance.get('slug') : instance.get('id')
-            if (err) {
-                return next(new Error(err))
+    //Write the attributes of a snapshot the user can write
+    function revert (request, response, next, instance, entry) {
+        var context = {
+                request  : request
+              , response : response
+              , resource : resource
+              , action   : 'revert'
+              , instance : instance
+              , body     : models.filterWritable(resource, entry.snapshot, request.user)
+              , revision : entry
             }
-            return response.send(toJSON(instance))
+
+        delete context.body._id
+        delete context.body.id
+
+        runHooks('before', context, next, function () {
+            models.getAttributes(resource).forEach(function (attr) {
+                if (attr !== '_id' && attr !== 'id'
+                        && models.isWritable(resource, attr, request.user)) {
+                    instance[attr] = context.body[attr]
+                }
+            })
+            save(request, instance, function (err) {
+                if (err) {
+                    return errors.handle(request, response, next, err)
+                }
+                runHooks('after', context, next, function () {
+                    response.header('ETag', etag(instance))
+                    if (request.format) {
+                        return response.send(toJSON(resource, instance, request.user))
+                    }
+                    next()
+                })
+            })
         })
     }
 
-    //GET /<resource>/:id
-    routes.show = function (request, response, next) {
-        if (request.xhr || request.format) {
-            return response.send(toJSON(request.resource(singular)))
+    //Convert an audit entry to a JSON safe object, without the paths
+    //the user can't read
+    function historyEntry (entry, user) {
+        var json = {
+            id       : String(entry._id)
+          , action   : entry.action
+          , embedded : entry.embedded
+          , user     : entry.user
+          , at       : entry.at
+          , changes  : entry.changes.filter(function (change) {
+                return readablePath(resource, change.path.split('.'), user)
+            })
+          , snapshot : entry.snapshot
         }
-        response.local('instance', request.resource(singular))
-        next()
+        fixIds(json.snapshot)
+        models.filterDeleted(resource, json.snapshot)
+        models.filterReadable(resource, json.snapshot, user)
+        return json
     }
 
-    //PUT /<resource>/:id
-    routes.update = function (request, response, next) {
-        var attr, instance = request.resource(singular)
+    //POST /<resource>/bulk
+    routes.bulk = function (request, response, next) {
+        var body = request.body || {}
+          , operations = Array.isArray(body) ? body : body.operations
+          , atomic = (body.mode || request.query.mode) === 'atomic'
+          , results = []
+          , applied = []
+
+        if (!negotiate(request, response)) {
+            return
+        } else if (!Array.isArray(operations) || !operations.length) {
+            return errors.send(request, response, 400, 'Expected a list of operations.')
+        } else if (operations.length > exports.max_bulk) {
+            return errors.send(request, response, 400, 'Too many operations.')
+        }
 
-        //Remove attributes not defined on the schema
-        for (attr in request.body) {
-            if (!(attr in model.schema.tree)) {
-                delete request.body[attr]
+        //Load the instance targeted by an update or delete
+        function load (operation, callback) {
+            var conditions = { _id: operation.id }
+            if (!exports.id_format.test(operation.id)) {
+                return callback(null, null)
+            }
+            if (soft) {
+                conditions[models.deleted_at] = null
             }
+            model.findOne(conditions, callback)
         }
 
-        //Fix array attributes in request.body
-        models.getArrayAttributes(resource).forEach(function (attr) {
-            if (attr in request.body && !Array.isArray(request.body[attr])) {
-                //Make it an array if it's just a single value
-                request.body[attr] = [request.body[attr]]
+        //Run an action between the before and after hooks
+        function withHooks (action, instance, body, fn, callback) {
+            var context = {
+                request  : request
+              , response : response
+              , resource : resource
+              , action   : action
+              , instance : instance
+              , body     : body
             }
-        })
+            hooks.run('before', context, function (err, status, message) {
+                if (err || status) {
+                    return callback(err, status, message)
+                }
+                fn(function (err) {
+                    if (err) {
+                        return callback(err)
+                    }
+                    hooks.run('after', context, callback)
+                })
+            })
+        }
 
-        //Check if the update requires an add/remove operation on
-        //the same array attribute as these must be done separately.
-        //See https://jira.mongodb.org/browse/SERVER-1050
+        //Apply a single operation
+        function apply (operation, callback) {
+            var data = operation.data || {}
+              , instance
+
+            switch (operation.op) {
+            case 'create':
+                instance = buildInstance(data, request.user)
+                return policy.check(resource, request.user, 'create', instance,
+                                    function (err, status) {
+                    if (err || status) {
+                        return callback(err, status)
+                    }
+                    withHooks('create', instance, data, function (done) {
+                        instance.save(function (err) {
+                            if (!err) {
+                                applied.push({ op: 'create', instance: instance })
+                            }
+                            done(err)
+                        })
+                    }, function (err, status, message) {
+                        if (err || status) {
+                            return callback(err, status, message)
+                        }
+                        callback(null, 201, null, instance)
+                    })
+                })
+            case 'update':
+            case 'delete':
+                return load(operation, function (err, instance) {
+                    if (err) {
+                        return callback(err)
+                    } else if (!instance) {
+                        return callback(null, 404)
+                    }
+                    var action = operation.op === 'update' ? 'update' : 'destroy'
+                    policy.check(resource, request.user, action, instance,
+                                 function (err, status) {
+                        if (err || status) {
+                            return callback(err, status)
+                        }
+                        modify(operation, action, instance, callback)
+                    })
+                })
+            default:
+                callback(null, 400, 'Unknown operation "' + operation.op + '".')
+            }
+        }
 
-        var requires_SERVER1050_fix = false
-          , array_attributes = models.getArrayAttributes(resource)
+        //Update or delete a loaded instance
+        function modify (operation, action, instance, callback) {
+            var snapshot = instance.toObject()
+              , data = operation.data || {}
 
-        array_attributes.forEach(function (attr) {
-            if (!Array.isArray(instance[attr]) || !(attr in request.body)) {
-                return;
+            if (action === 'update') {
+                models.filterWritable(resource, data, request.user)
             }
 
-            var added = removed = false
-            instance[attr].forEach(function (elem) {
-                if (typeof elem === 'object') {
-                    return; //Deep equals is unsupported
+            withHooks(action, instance, data, function (done) {
+                function saved (err) {
+                    if (!err) {
+                        applied.push({ op: operation.op, snapshot: snapshot, instance: instance })
+                    }
+                    done(err)
                 }
-                if (request.body[attr].indexOf(elem) === -1) {
-                    removed = true
+                if (action === 'update') {
+                    updateInstance(request, instance, data, saved)
+                } else {
+                    removeInstance(request, instance, saved)
                 }
-            });
-
-            request.body[attr].forEach(function (elem) {
-                if (typeof elem === 'object' || instance[attr].indexOf(elem) === -1) {
-                    added = true
-                    instance[attr].push(elem)
+            }, function (err, status, message) {
+                if (err || status) {
+                    return callback(err, status, message)
                 }
-            });
+                callback(null, 200, null, action === 'update' ? instance : null)
+            })
+        }
 
-            if (added && removed) {
-                requires_SERVER1050_fix = true
-            } else {
-                instance[attr] = request.body[attr]
+        //Undo applied operations, most recent first
+        function rollback (callback) {
+            var undo = applied.pop()
+              , context
+              , before
+              , after = null
+
+            if (!undo) {
+                return callback()
             }
-        })
 
-        //Copy over other attributes
-        for (attr in instance) {
-            if (array_attributes.indexOf(attr) !== -1) {
-                continue;
+            //The undone action was audited, so record undoing it too
+            function done (err) {
+                if (err) {
+                    return callback(err)
+                } else if (!audit.enabled) {
+                    return rollback(callback)
+                }
+                context = {
+                    request  : request
+                  , response : response
+                  , resource : resource
+                  , action   : 'rollback'
+                  , instance : undo.instance
+                }
+                audit.rollback(context, before, after, function (err) {
+                    if (err) {
+                        hooks.report(err, context)
+                    }
+                    rollback(callback)
+                })
             }
-            if (attr in request.body) {
-                instance[attr] = request.body[attr]
+
+            before = undo.op === 'delete' && !soft ? null : undo.instance.toObject()
+            if (undo.op === 'create') {
+                model.collection.remove({ _id: undo.instance._id }, { safe: true }, done)
+            } else {
+                //Upsert, since a delete may have removed the document. The
+                //version moves on so the undone write's ETag isn't reused.
+                after = undo.snapshot
+                after[exports.version_key] = (undo.instance.get(exports.version_key) || 0) + 1
+                if (model.schema.path(exports.updated_at)) {
+                    after[exports.updated_at] = new Date()
+                }
+                model.collection.update({ _id: undo.snapshot._id }, undo.snapshot,
+                                        { safe: true, upsert: true }, done)
             }
         }
 
-        function callback (err) {
-            if (err) {
-                return next(new Error(err))
-            } else if (request.xhr || request.format) {
-                return response.send(toJSON(instance))
+        //Check an operation could be applied, without writing anything
+        function check (operation, callback) {
+            var data = operation.data || {}
+
+            switch (operation.op) {
+            case 'create':
+                return validate('create', buildInstance(data, request.user), data, callback)
+            case 'update':
+            case 'delete':
+                return load(operation, function (err, instance) {
+                    if (err || !instance) {
+                        return callback(err, instance ? null : 404)
+                    }
+                    validate(operation.op === 'update' ? 'update' : 'destroy', instance, data,
+                             callback)
+                })
+            default:
+                callback(null, 400, 'Unknown operation "' + operation.op + '".')
             }
-            next()
         }
 
-        if (!requires_SERVER1050_fix) {
-            return instance.save(callback)
+        //Authorize an action and validate the instance it would write
+        function validate (action, instance, data, callback) {
+            policy.check(resource, request.user, action, instance, function (err, status) {
+                if (err || status || action === 'destroy') {
+                    return callback(err, status)
+                } else if (action === 'update') {
+                    models.filterWritable(resource, data, request.user)
+                    for (var attr in data) {
+                        instance[attr] = data[attr]
+                    }
+                }
+                instance.validate(function (err) {
+                    callback(err)
+                })
+            })
         }
 
-        instance.save(function (err) {
+        //Build the result of an operation
+        function outcome (operation, err, status, message, instance) {
+            var result = { op: operation.op, status: status }
+
             if (err) {
-                return next(new Error(err))
+                result.status = errors.status(err) || 500
+                result.error = errors.body(result.status,
+                    result.status === 500 ? null : err.message,
+                    errors.fields(err)).error
+            } else if (status >= 400) {
+                result.error = errors.body(status, message).error
+            } else if (instance) {
+                result.id = instance.get('id')
+                result.data = toJSON(resource, instance, request.user)
+            } else {
+                result.id = operation.id
             }
 
-            //Copy over all attributes now
-            for (attr in instance) {
-                if (attr in request.body) {
-                    instance[attr] = request.body[attr]
+            return result
+        }
+
+        //Respond with the operation that failed the batch, marking the
+        //others as rolled back or not applied
+        function abort (i, failed, message) {
+            for (var j = 0; j < operations.length; j++) {
+                if (j !== i && results[j]) {
+                    results[j].status = 424
+                    results[j].error = errors.body(424, 'Rolled back.').error
+                    delete results[j].data
+                } else if (j !== i) {
+                    results[j] = {
+                        op     : (operations[j] || {}).op
+                      , status : 424
+                      , error  : errors.body(424, 'Not applied.').error
+                    }
                 }
             }
+            results[i] = failed
+            response.send({
+                error   : errors.body(failed.status, message).error
+              , results : results
+            }, failed.status)
+        }
 
-            instance.save(callback)
-        })
-    }
+        //Check every operation of an atomic batch before applying any
+        function prepare (i) {
+            if (i === operations.length) {
+                return run(0)
+            }
 
-    //DELETE /<resource>/:id
-    routes.destroy = function (request, response, next) {
-        request.resource(singular).remove(function (err) {
-            if (err) {
-                return next(new Error(err))
-            } else if (request.xhr || request.format) {
-                return response.send(200)
+            var operation = operations[i] || {}
+
+            check(operation, function (err, status, message) {
+                var failed = outcome(operation, err, status, message)
+                if (failed.error) {
+                    return abort(i, failed, 'The batch was not applied.')
+                }
+                prepare(i + 1)
+            })
+        }
+
+        function run (i) {
+            if (i === operations.length) {
+                return response.send({ results: results })
             }
-            next()
-        })
+
+            var operation = operations[i] || {}
+
+            apply(operation, function (err, status, message, instance) {
+                results.push(outcome(operation, err, status, message, instance))
+
+                if (!results[i].error || !atomic) {
+                    return run(i + 1)
+                }
+
+                //All or nothing, so revert everything applied so far
+                rollback(function (err) {
+                    if (err) {
+                        return errors.handle(request, response, next, err)
+                    }
+                    abort(i, results[i], 'The batch was rolled back.')
+                })
+            })
+        }
+
+        //Atomic batches are checked before anything is written. A write can
+        //still fail, e.g. on a duplicate key, and then the writes before it
+        //are undone, but other requests may see them in the meantime: this
+        //is best-effort, not a transaction.
+        if (atomic) {
+            return prepare(0)
+        }
+        run(0)
     }
 
     return routes
 }
 
 /**
- * Generate routes for embedded documents.
+ * Generate routes for embedded documents. Embedded documents are saved
+ * through the top level document they're part of, the first of their
+ * ancestors.
  *
- * @param {string} parent
+ * @param {array} ancestors - e.g. ["Post", "Comment"] for replies
  * @param {string} resource
  * @param {string} attribute
  * @return {object} routes
  * @api private
  */
 
-function embeddedRoutes (parent_resource, resource, attribute) {
+function embeddedRoutes (ancestors, resource, attribute) {
 
     var model = models.mongoose.model(resource)
       , plural = lingo.pluralize(resource)
       , singular = lingo.singularize(resource)
-      , parent_model = models.mongoose.model(parent_resource)
-      , parent_plural = lingo.pluralize(parent_resource)
+      , parent_resource = ancestors[ancestors.length - 1]
       , parent_singular = lingo.singularize(parent_resource)
+      , root_model = models.mongoose.model(ancestors[0])
+      , root_singular = lingo.singularize(ancestors[0])
+      , soft = models.isSoftDeletable(resource)
       , routes = {}
 
+    //Treat the action as a read or update of the closest ancestor with a
+    //policy, then check the embedded resource's own policy if it has one
+    function authorizeChild (request, response, next, action, instance, callback) {
+        var owner = parent_resource
+        for (var i = ancestors.length - 1; i > 0 && !policy.get(owner); i--) {
+            owner = ancestors[i - 1]
+        }
+        authorize(request, response, next, owner,
+                  action === 'index' || action === 'show' ? 'show' : 'update',
+                  request.resource(lingo.singularize(owner)), function () {
+            authorize(request, response, next, resource, action, instance, callback)
+        })
+    }
+
     //GET /<parent_resource>/:parent_id/<resource>
     routes.index = function (request, response, next) {
+        list(request, response, next, false)
+    }
+
+    //List either the live or the soft deleted children
+    function list (request, response, next, trashed) {
         var parent = request.resource(parent_singular)
-          , children = []
+          , root = request.resource(root_singular)
+          , paged = paging(request)
+          , order = request.query.order
+          , sliced = request.sliced === routes.index.embedded
+          , conditions
+
+        //Filter by ?where[attr][op]=value, like top level resources
+        try {
+            conditions = filter.parse(resource, request.query.where, request.user)
+        } catch (err) {
+            if (err instanceof filter.FilterError) {
+                return errors.send(request, response, 400, err.message)
+            }
+            throw err
+        }
+
+        if (order && (!models.getAttributeType(resource, order)
+                   || !models.isReadable(resource, order, request.user))) {
+            return errors.send(request, response, 400, 'Unknown attribute "' + order + '"')
+        }
+
+        authorizeChild(request, response, next, trashed ? 'trash' : 'index', parent,
+                       function () {
+            cacheControl(response, resource)
+            if (notModified(request, response, root)) {
+                return
+            }
+            if (sliced) {
+                //The parent was loaded with just this page
+                return count(parent, function (total) {
+                    send(parent[attribute] || [], total)
+                })
+            }
+            var children = (parent[attribute] || []).filter(function (child) {
+                return (!soft || models.isDeleted(child) === trashed)
+                    && filter.matches(child, conditions)
+            })
+            if (order) {
+                children.sort(function (a, b) {
+                    return compare(a.get(order), b.get(order))
+                        || compare(a.get('id'), b.get('id'))
+                })
+                if (request.query.desc) {
+                    children.reverse()
+                }
+            }
+            send(children.slice(paged.offset, paged.offset + paged.limit), children.length)
+        })
+
+        //Count the children without loading them
+        function count (parent, callback) {
+            var size = {}
+            size.$size = { $ifNull: ['$' + attribute, []] }
+            root_model.collection.aggregate([
+                { $match: { _id: parent._id } }
+              , { $project: { total: size } }
+            ], function (err, result) {
+                if (err) {
+                    return errors.handle(request, response, next, err)
+                }
+                callback(result && result[0] ? result[0].total : 0)
+            })
+        }
 
-        if (parent[attribute] && parent[attribute].length) {
-            parent[attribute].forEach(function (child) {
-                children.push(toJSON(child))
+        function send (children, total) {
+            var meta = {
+                total  : total
+              , limit  : paged.limit
+              , page   : paged.page
+              , pages  : Math.ceil(total / paged.limit)
+              , offset : paged.offset
+            }
+            children = children.map(function (child) {
+                return toJSON(resource, child, request.user)
             })
+            paginationHeaders(request, response, meta)
+            if (exports.envelope || flag(request.query.envelope)) {
+                meta.results = children
+                return response.send(meta)
+            }
+            response.send(children)
+        }
+    }
+
+    //Load only the requested page of children where possible
+    routes.index.embedded = {
+        parent    : parent_resource
+      , resource  : resource
+      , attribute : attribute
+    }
+
+    //Build the hook context for an action
+    function hookContext (request, response, action, instance) {
+        return {
+            request  : request
+          , response : response
+          , resource : resource
+          , action   : action
+          , instance : instance
+          , body     : request.body
+          , parent   : request.resource(parent_singular)
+          , root     : request.resource(root_singular)
         }
-        return response.send(children)
     }
 
     //POST /<parent_resource>/:parent_id/<resource>/:id
     routes.create = function (request, response, next) {
         var parent = request.resource(parent_singular)
+          , root = request.resource(root_singular)
           , child = new model()
-        if (!parent[attribute]) {
-            parent[attribute] = []
-        }
+          , context = hookContext(request, response, 'create', child)
+        models.filterWritable(resource, request.body, request.user)
         for (attr in request.body) {
-            if (attr in model.schema.tree) {
-                child[attr] = request.body[attr]
-            }
+            child[attr] = request.body[attr]
         }
-        parent[attribute].push(child)
-        parent.save(function (err) {
-            if (err) {
-                return next(new Error(err))
+        authorizeChild(request, response, next, 'create', child, function () {
+            if (!checkIfMatch(request, response, root)) {
+                return
             }
-            response.send(toJSON(child))
+            runHooks('before', context, next, function () {
+                if (!parent[attribute]) {
+                    parent[attribute] = []
+                }
+                parent[attribute].push(child)
+                save(request, root, function (err) {
+                    if (err) {
+                        return errors.handle(request, response, next, err)
+                    }
+                    runHooks('after', context, next, function () {
+                        response.header('ETag', etag(root))
+                        response.send(toJSON(resource, child, request.user))
+                    })
+                })
+            })
         })
     }
 
     //GET /<parent_resource>/:parent_id/<resource>/:id
     routes.show = function (request, response, next) {
         var instance = request.resource(singular)
-        response.send(toJSON(instance))
+        authorizeChild(request, response, next, 'show', instance, function () {
+            cacheControl(response, resource)
+            if (notModified(request, response, request.resource(root_singular))) {
+                return
+            }
+            response.send(toJSON(resource, instance, request.user))
+        })
     }
 
     //PUT /<parent_resource>/:parent_id/<resource>/:id
     routes.update = function (request, response, next) {
         var instance = request.resource(singular)
-          , parent = request.resource(parent_singular)
-        for (attr in request.body) {
-            if (attr in model.schema.tree) {
-                instance[attr] = request.body[attr]
-            }
-        }
-        parent.save(function (err) {
-            if (err) {
-                return next(new Error(err))
+          , root = request.resource(root_singular)
+          , context = hookContext(request, response, 'update', instance)
+        authorizeChild(request, response, next, 'update', instance, function () {
+            if (!checkIfMatch(request, response, root)) {
+                return
             }
-            response.send(200)
+            models.filterWritable(resource, request.body, request.user)
+            runHooks('before', context, next, function () {
+                for (attr in request.body) {
+                    instance[attr] = request.body[attr]
+                }
+                save(request, root, function (err) {
+                    if (err) {
+                        return errors.handle(request, response, next, err)
+                    }
+                    runHooks('after', context, next, function () {
+                        response.header('ETag', etag(root))
+                        response.send(200)
+                    })
+                })
+            })
         })
     }
 
     //DELETE /<parent_resource>/:parent_id/<resource>/:id
     routes.destroy = function (request, response, next) {
+        var instance = request.resource(singular)
+          , root = request.resource(root_singular)
+          , context = hookContext(request, response, 'destroy', instance)
+        authorizeChild(request, response, next, 'destroy', instance, function () {
+            if (!checkIfMatch(request, response, root)) {
+                return
+            }
+            runHooks('before', context, next, function () {
+                if (soft) {
+                    instance[models.deleted_at] = new Date()
+                } else {
+                    instance.remove()
+                }
+                save(request, root, function (err) {
+                    if (err) {
+                        return errors.handle(request, response, next, err)
+                    }
+                    runHooks('after', context, next, function () {
+                        response.header('ETag', etag(root))
+                        response.send(200)
+                    })
+                })
+            })
+        })
+    }
+
+    //Get the path of the children's array in the top level document, e.g.
+    //"comments.2.replies", and conditions that check each ancestor is still
+    //where it was loaded from. `parent` replaces the loaded parent.
+    function locate (request, parent) {
+        var path = []
+          , conditions = {}
+          , owner = request.resource(root_singular)
+          , instance
+          , attr
+
+        conditions._id = owner._id
+        for (var i = 1; i < ancestors.length; i++) {
+            instance = i === ancestors.length - 1 && parent ? parent
+                     : request.resource(lingo.singularize(ancestors[i]))
+            attr = childAttribute(ancestors[i - 1], ancestors[i])
+            path.push(attr, owner[attr].indexOf(instance))
+            conditions[path.join('.') + '._id'] = instance._id
+            owner = instance
+        }
+        path.push(attribute)
+
+        return { path: path.join('.'), conditions: conditions }
+    }
+
+    //Find another parent of the same type in the grandparent
+    function sibling (request, id) {
+        var grandparent = ancestors[ancestors.length - 2]
+          , siblings = request.resource(lingo.singularize(grandparent))
+                [childAttribute(grandparent, parent_resource)] || []
+        return siblings.filter(function (sibling) {
+            return sibling.get('id') == id
+                && !(models.isSoftDeletable(parent_resource) && models.isDeleted(sibling))
+        })[0]
+    }
+
+    //Convert a position among the live children to an array index
+    function arrayIndex (children, position) {
+        var live = soft ? children.filter(function (child) {
+                return !models.isDeleted(child)
+            }) : children
+        return position < live.length ? children.indexOf(live[position]) : children.length
+    }
+
+    //Add conditions that an array of children hasn't changed since it was loaded
+    function unchanged (conditions, path, children) {
+        children.forEach(function (child, i) {
+            conditions[path + '.' + i + '._id'] = child._id
+        })
+        conditions[path] = { $size: children.length }
+    }
+
+    //Build an update that inserts a child, at a position if one is given.
+    //$push only takes a position from MongoDB 2.6, so the array is rewritten
+    //instead, provided it hasn't changed
+    function insert (path, child, children, position, conditions) {
+        var update = {}
+          , rewritten
+
+        if (position === null) {
+            update.$push = {}
+            update.$push[path] = child
+            return update
+        }
+
+        rewritten = children.map(function (child) {
+            return child.toObject()
+        })
+        rewritten.splice(arrayIndex(children, position), 0, child)
+        unchanged(conditions, path, children)
+        update.$set = {}
+        update.$set[path] = rewritten
+        return update
+    }
+
+    //POST /<parent_resource>/:parent_id/<resource>/:id/move?to=0&parent=<id>
+    routes.move = function (request, response, next) {
         var instance = request.resource(singular)
           , parent = request.resource(parent_singular)
-        instance.remove()
-        parent.save(function (err) {
-            if (err) {
-                return next(new Error(err))
+          , root = request.resource(root_singular)
+          , to = 'to' in request.query ? request.query.to : request.body.to
+          , target = request.query.parent || request.body.parent
+          , position = null
+          , context
+          , previous_target = null
+
+        if (typeof to !== 'undefined') {
+            if (!/^\d+$/.test(String(to))) {
+                return errors.send(request, response, 400, 'Invalid position.')
+            }
+            position = parseInt(to, 10)
+        } else if (!target || target == parent.get('id')) {
+            return errors.send(request, response, 400, 'Expected a position or a parent.')
+        }
+
+        authorizeChild(request, response, next, 'move', instance, function () {
+            if (!checkIfMatch(request, response, root)) {
+                return
+            } else if (!target || target == parent.get('id')) {
+                return move(parent, reorder)
+            } else if (ancestors.length > 1) {
+                return move(sibling(request, target), moveWithin)
+            } else if (!exports.id_format.test(target)) {
+                return errors.send(request, response, 404,
+                                   'The ' + parent_singular + ' could not be found.')
+            }
+            var conditions = { _id: target }
+            if (models.isSoftDeletable(parent_resource)) {
+                conditions[models.deleted_at] = null
             }
-            response.send(200)
+            root_model.findOne(conditions, function (err, target) {
+                if (err) {
+                    return errors.handle(request, response, next, err)
+                }
+                authorize(request, response, next, parent_resource, 'update', target,
+                          function () {
+                    move(target, moveBetween)
+                })
+            })
         })
+
+        //Run the move between the before and after hooks
+        function move (target, fn) {
+            if (!target) {
+                return errors.send(request, response, 404,
+                                   'The ' + parent_singular + ' could not be found.')
+            }
+            context = hookContext(request, response, 'move', instance)
+            context.target = target
+            context.position = position
+            //The audit hooks only record the document the child is moved out of
+            if (audit.enabled && fn === moveBetween) {
+                previous_target = target.toObject()
+            }
+            runHooks('before', context, next, function () {
+                fn(target, function (err, moved) {
+                    if (err) {
+                        return errors.handle(request, response, next, err)
+                    } else if (!moved && request.headers['if-match']) {
+                        return errors.send(request, response, 412)
+                    } else if (!moved) {
+                        return errors.send(request, response, 409,
+                                           'The ' + parent_singular + ' has been modified.')
+                    }
+                    root_model.findById(root._id, function (err, reloaded) {
+                        if (err) {
+                            return errors.handle(request, response, next, err)
+                        }
+                        context.root = reloaded
+                        recordTarget(target, function () {
+                            after(target, reloaded)
+                        })
+                    })
+                })
+            })
+        }
+
+        //Record the changes to the document the child was moved into, if
+        //it's another top level document. The move has been made, so errors
+        //are reported rather than failing the request.
+        function recordTarget (target, callback) {
+            if (!previous_target) {
+                return callback()
+            }
+            root_model.findById(target._id, function (err, moved_to) {
+                if (err) {
+                    hooks.report(err, context)
+                    return callback()
+                } else if (!moved_to) {
+                    return callback()
+                }
+                audit.moved(context, previous_target, moved_to, function (err) {
+                    if (err) {
+                        hooks.report(err, context)
+                    }
+                    callback()
+                })
+            })
+        }
+
+        //Run the after hooks and respond
+        function after (target, reloaded) {
+            runHooks('after', context, next, function () {
+                if (reloaded && (target === parent || ancestors.length > 1)) {
+                    response.header('ETag', etag(reloaded))
+                }
+                response.send(toJSON(resource, instance, request.user))
+            })
+        }
+
+        //Rewrite the array in its new order, provided it hasn't changed
+        function reorder (parent, callback) {
+            var location = locate(request)
+              , conditions = location.conditions
+              , children = parent[attribute] || []
+              , ordered = children.filter(function (child) {
+                    return child !== instance
+                })
+              , update = { $set: {} }
+
+            unchanged(conditions, location.path, children)
+            ordered.splice(arrayIndex(ordered, position), 0, instance)
+            update.$set[location.path] = ordered.map(function (child) {
+                return child.toObject()
+            })
+            versioned(request, root, conditions, update)
+
+            root_model.collection.update(conditions, update, { safe: true }, callback)
+        }
+
+        //Move to another parent in the same top level document
+        function moveWithin (target, callback) {
+            var from = locate(request)
+              , dest = locate(request, target)
+              , conditions = from.conditions
+              , update
+
+            for (var path in dest.conditions) {
+                conditions[path] = dest.conditions[path]
+            }
+            update = insert(dest.path, instance.toObject(), target[attribute] || [], position,
+                            conditions)
+            conditions[from.path + '._id'] = instance._id
+            update.$pull = {}
+            update.$pull[from.path] = { _id: instance._id }
+            versioned(request, root, conditions, update)
+
+            root_model.collection.update(conditions, update, { safe: true }, callback)
+        }
+
+        //Move to another top level document. This can't be done in a single
+        //update, so the child is copied first and only then removed, undoing
+        //the copy if it has been moved or removed in the meantime.
+        function moveBetween (target, callback) {
+            var conditions = { _id: root._id }
+              , copy_conditions = { _id: target._id }
+              , copy = insert(attribute, instance.toObject(), target[attribute] || [], position,
+                              copy_conditions)
+              , pull = { $pull: {} }
+              , undo = { $pull: {} }
+
+            conditions[attribute + '._id'] = instance._id
+            pull.$pull[attribute] = undo.$pull[attribute] = { _id: instance._id }
+            versioned(null, target, {}, copy)
+            versioned(request, root, conditions, pull)
+            versioned(null, target, {}, undo)
+
+            root_model.collection.update(copy_conditions, copy, { safe: true },
+                                         function (err, copied) {
+                if (err || !copied) {
+                    return callback(err, copied)
+                }
+                root_model.collection.update(conditions, pull, { safe: true },
+                                             function (err, removed) {
+                    if (!err && removed) {
+                        return callback(null, removed)
+                    }
+                    root_model.collection.update({ _id: target._id }, undo, { safe: true },
+                                                 function (undo_err) {
+                        callback(err || undo_err, 0)
+                    })
+                })
+            })
+        }
     }
 
+    if (soft) {
+
+        //GET /<parent_resource>/:parent_id/<resource>/trash
+        routes.trash = function (request, response, next) {
+            list(request, response, next, true)
+        }
+
+        //POST /<parent_resource>/:parent_id/<resource>/:id/restore
+        routes.restore = function (request, response, next) {
+            var instance = request.resource(singular)
+              , root = request.resource(root_singular)
+              , context = hookContext(request, response, 'restore', instance)
+            authorizeChild(request, response, next, 'restore', instance, function () {
+                if (!checkIfMatch(request, response, root)) {
+                    return
+                }
+                runHooks('before', context, next, function () {
+                    instance[models.deleted_at] = null
+                    save(request, root, function (err) {
+                        if (err) {
+                            return errors.handle(request, response, next, err)
+                        }
+                        runHooks('after', context, next, function () {
+                            response.header('ETag', etag(root))
+                            response.send(toJSON(resource, instance, request.user))
+                        })
+                    })
+                })
+            })
+        }
+
+        //DELETE /<parent_resource>/:parent_id/<resource>/:id/purge
+        routes.purge = function (request, response, next) {
+            var instance = request.resource(singular)
+              , root = request.resource(root_singular)
+              , context = hookContext(request, response, 'purge', instance)
+            authorizeChild(request, response, next, 'purge', instance, function () {
+                if (!checkIfMatch(request, response, root)) {
+                    return
+                }
+                runHooks('before', context, next, function () {
+                    instance.remove()
+                    save(request, root, function (err) {
+                        if (err) {
+                            return errors.handle(request, response, next, err)
+                        }
+                        runHooks('after', context, next, function () {
+                            response.header('ETag', etag(root))
+                            response.send(200)
+                        })
+                    })
+                })
+            })
+        }
+
+        //Autoload the soft deleted child for these routes
+        routes.restore.trashed = routes.purge.trashed = resource
+    }
+
+    //Autoload the child from the parent these routes are embedded in
+    Object.keys(routes).forEach(function (action) {
+        routes[action].ancestors = ancestors.concat(resource)
+    })
+
     return routes
 }
-
@@ -0,0 +1,260 @@
+/*!
+ * Chris O'Hara
+ * Copyright(c) 2011 Chris O'Hara <cohara87@gmail.com>
+ * MIT Licensed
+ */
+
+/**
+ * Module dependencies.
+ */
+
+var models = require('./models')
+  , hooks = require('./hooks')
+  , patch = require('./patch')
+  , lingo = require('lingo').en
+
+/**
+ * The path that slugs are stored in.
+ */
+
+exports.path = 'slug'
+
+/**
+ * The array path that previous slugs are kept in, if the schema has it.
+ * Requests for a previous slug are redirected to the current one.
+ */
+
+exports.history = 'slugs'
+
+/**
+ * Slugs that would be matched by other routes, e.g. GET /posts/trash.
+ */
+
+exports.reserved = ['bulk', 'trash', 'new', 'edit']
+
+/**
+ * The maximum length of a generated slug, before any suffix.
+ */
+
+exports.max_length = 80
+
+/**
+ * Slug sources registered with `register()`.
+ */
+
+var sources = {}
+
+/**
+ * Generate slugs for a resource from one of its attributes, e.g.
+ *
+ *     slugs.register('Post', 'title')
+ *
+ * The source can also be set as an option of the slug path, e.g.
+ * `slug: { type: String, unique: true, source: 'title' }`. Slugs are
+ * generated when a document is created, and again when the source changes
+ * unless a slug is given. Collisions get a numeric suffix, e.g. "hello-2".
+ *
+ * @param {string} resource
+ * @param {string} source
+ * @api public
+ */
+
+exports.register = function (resource, source) {
+    sources[resource] = source
+}
+
+/**
+ * Get the attribute a resource's slugs are generated from, or null if
+ * its slugs aren't managed.
+ *
+ * @param {string} resource
+ * @return {string} source
+ * @api public
+ */
+
+exports.source = function (resource) {
+    var schema = models.mongoose.modelSchemas[resource]
+      , path = schema && schema.path(exports.path)
+
+    if (!path || !models.isTopLevel(resource)) {
+        return null
+    }
+    return sources[resource] || path.options && path.options.source || null
+}
+
+/**
+ * Check whether a resource keeps previous slugs.
+ *
+ * @param {string} resource
+ * @return {boolean} has_history
+ * @api public
+ */
+
+exports.hasHistory = function (resource) {
+    return !!exports.source(resource)
+        && !!models.mongoose.modelSchemas[resource].path(exports.history)
+}
+
+/**
+ * Convert a string to a slug, e.g. "Hello, World!" => "hello-world".
+ *
+ * @param {string} str
+ * @return {string} slug
+ * @api public
+ */
+
+exports.slugify = function (str) {
+    return String(str === null || typeof str === 'undefined' ? '' : str)
+        .toLowerCase()
+        .replace(/['"]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .substr(0, exports.max_length)
+        .replace(/^-+|-+$/g, '')
+}
+
+/**
+ * Generate a slug that no other document of the resource is using.
+ * Slugs that look like IDs or are reserved always get a suffix.
+ *
+ * @param {string} resource
+ * @param {Document} instance - the document the slug is for
+ * @param {string} value
+ * @param {function} callback
+ * @api public
+ */
+
+exports.generate = function (resource, instance, value, callback) {
+    var base = exports.slugify(value) || lingo.singularize(resource).toLowerCase()
+      , pattern = new RegExp('^' + base + '(-\\d+)?$')
+      , conditions = {}
+      , taken = {}
+
+    conditions[exports.path] = pattern
+    conditions._id = { $ne: instance._id }
+
+    models.mongoose.model(resource).find(conditions, [exports.path], function (err, others) {
+        if (err) {
+            return callback(err)
+        }
+        others.forEach(function (other) {
+            taken[other.get(exports.path)] = true
+        })
+        if (!taken[base] && !/^[0-9a-f]{24}$/.test(base) && !~exports.reserved.indexOf(base)) {
+            return callback(null, base)
+        }
+        var suffix = 2
+        while (taken[base + '-' + suffix]) {
+            suffix++
+        }
+        callback(null, base + '-' + suffix)
+    })
+}
+
+/**
+ * Change an instance's slug, keeping the previous one.
+ *
+ * @param {string} resource
+ * @param {Document} instance
+ * @param {string} slug
+ * @api private
+ */
+
+function change (resource, instance, slug) {
+    var previous = instance.get(exports.path)
+      , history
+
+    if (previous && previous !== slug && exports.hasHistory(resource)) {
+        history = (instance.get(exports.history) || []).filter(function (old) {
+            return old !== previous && old !== slug
+        })
+        history.push(previous)
+        instance[exports.history] = history
+    }
+    instance[exports.path] = slug
+}
+
+/**
+ * Work out the value a new slug should be generated from for an update,
+ * given the slug and source values it sets. Returns null if the slug
+ * should stay as it is.
+ *
+ * @param {string} resource
+ * @param {Document} instance
+ * @param {object} values
+ * @return {string} value
+ * @api private
+ */
+
+function updatedValue (resource, instance, values) {
+    var source = exports.source(resource)
+    if (values[exports.path]) {
+        return values[exports.path]
+    } else if (source in values && values[source] != instance.get(source)) {
+        return values[source]
+    }
+    return null
+}
+
+/**
+ * Previous slugs are kept as slugs change, so clients can't write them.
+ */
+
+models.implied_rules.push(function (resource) {
+    var rules = {}
+    if (exports.hasHistory(resource)) {
+        rules[exports.history] = 'readonly'
+    }
+    return rules
+})
+
+/**
+ * Generate slugs as documents are written through the generated routes.
+ */
+
+hooks.before('*', '*', function (context, done) {
+    var resource = context.resource
+      , instance = context.instance
+      , values
+      , value
+
+    if (context.parent || !exports.source(resource)) {
+        return done()
+    }
+
+    switch (context.action) {
+    case 'create':
+        value = instance.get(exports.path) || instance.get(exports.source(resource))
+        break
+    case 'update':
+    case 'revert':
+        values = context.request.method === 'PATCH'
+               ? patch.values(context.request, context.body)
+               : context.body || {}
+        value = updatedValue(resource, instance, values)
+        if (value === null) {
+            return done()
+        }
+        break
+    default:
+        return done()
+    }
+
+    exports.generate(resource, instance, value, function (err, slug) {
+        if (err) {
+            return done(err)
+        }
+        change(resource, instance, slug)
+        if (Array.isArray(context.body)) {
+            //JSON patches are applied after the hooks, make them set the same slug
+            context.body.forEach(function (operation) {
+                if (operation && operation.path === '/' + exports.path
+                        && 'value' in operation) {
+                    operation.value = slug
+                }
+            })
+        } else if (context.body && exports.path in context.body) {
+            context.body[exports.path] = slug
+        }
+        done()
+    })
+})